@@ -1,13 +1,41 @@
 // Service worker registration
+// An updated worker waits until the user accepts the update banner. The page
+// then asks it to take over and reloads once it controls the page.
+let waitingWorker = null;
+let updateAccepted = false;
+
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  document.getElementById('updateBanner').hidden = false;
+}
+
 if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateAccepted) {
+      window.location.reload();
+    }
+  });
+  document.getElementById('updateReloadBtn').addEventListener('click', () => {
+    if (waitingWorker) {
+      updateAccepted = true;
+      waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+  });
+  document.getElementById('updateDismissBtn').addEventListener('click', () => {
+    document.getElementById('updateBanner').hidden = true;
+  });
   window.addEventListener('load', () => {
     navigator.serviceWorker.register('sw.js').then(reg => {
+      // A worker may still be waiting from an earlier visit.
+      if (reg.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(reg.waiting);
+      }
       reg.addEventListener('updatefound', () => {
         const newWorker = reg.installing;
         if (newWorker) {
           newWorker.addEventListener('statechange', () => {
             if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-              alert('New version available. Please reload.');
+              showUpdateBanner(newWorker);
             }
           });
         }
@@ -16,309 +44,5676 @@ if ('serviceWorker' in navigator) {
   });
 }
 
-// Request persistent storage so the notes database is less likely to be
-// cleared by the browser under storage pressure.
-if (navigator.storage && navigator.storage.persist) {
-  window.addEventListener('load', () => {
-    navigator.storage.persist().then(granted => {
-      console.log(`Persistent storage ${granted ? 'granted' : 'denied'}`);
-    });
+// Request persistent storage so the notes database is less likely to be
+// cleared by the browser under storage pressure.
+if (navigator.storage && navigator.storage.persist) {
+  window.addEventListener('load', () => {
+    navigator.storage.persist().then(granted => {
+      console.log(`Persistent storage ${granted ? 'granted' : 'denied'}`);
+    });
+  });
+}
+
+// Note storage
+// Notes, attachments, places, collections and the sync outbox live in a note
+// store. Every store has the same methods, all returning Promises:
+//   getNote(id), getAllNotes(), getNotesByTag(tag), getAllTags(),
+//   getNotesInCells(cells), putNote(record, { queue }),
+//   putRecords({ notes, attachments, places, collections }),
+//   deleteNote(id, { queue }),
+//   addAttachments(records), getAttachments(noteId), getAllAttachments(),
+//   deleteAttachment(id), getAttachmentUsage(), getPlaces(), putPlace(record),
+//   deletePlace(id),
+//   getCollections(), getCollection(id), putCollection(record),
+//   deleteCollection(id),
+//   getOutbox(), queueNotes(ids), removeFromOutbox(entry), applyRemote(changes)
+// Stores keep records exactly as given: encryption and the trash are handled
+// by the app functions that call them. `queue` also adds the change to the outbox.
+// IndexedDB is used when it opens. Otherwise notes are kept in memory for the
+// session, with a notice, so the app still works where storage is blocked.
+
+// Whether a change from the sync server replaces the local record: only
+// when it is at least as new.
+function remoteWins(local, remote) {
+  return !local || noteVersion(local) <= noteVersion(remote);
+}
+
+function byId(a, b) {
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// Version 2 adds a geohash index so radius queries only read nearby cells.
+// Version 3 indexes each of a note's tags.
+// Version 4 adds an attachments store holding photo and audio Blobs.
+// Version 5 adds an outbox of note ids with changes waiting to be synced.
+// Version 6 adds collections, each an ordered list of note ids.
+// Version 7 adds places and groups existing notes into them.
+const DB_VERSION = 7;
+
+/**
+ * Open the notes database with `factory`, usually `window.indexedDB`, and
+ * resolve with a note store backed by it. Rejects when IndexedDB is missing
+ * or refuses to open. `onBlocked` is called while a tab open on an older
+ * version holds up the upgrade; opening carries on once that tab lets go.
+ * The database closes itself when another tab needs to upgrade it, then
+ * calls `onVersionChange`.
+ */
+function createIndexedDBNoteStore(factory, { onBlocked, onVersionChange } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!factory) {
+      throw new Error('IndexedDB is not available');
+    }
+    const request = factory.open('notes-db', DB_VERSION);
+    request.onupgradeneeded = event => {
+      const db = event.target.result;
+      const tx = event.target.transaction;
+      if (event.oldVersion < 1) {
+        db.createObjectStore('notes', { keyPath: 'id' });
+      }
+      if (event.oldVersion < 2) {
+        // Notes saved before the index existed are backfilled below.
+        tx.objectStore('notes').createIndex('geohash', 'geohash');
+      }
+      if (event.oldVersion < 3) {
+        // Notes saved before tags existed have no `tags` field and are simply
+        // left out of the index.
+        tx.objectStore('notes').createIndex('tags', 'tags', { multiEntry: true });
+      }
+      if (event.oldVersion < 4) {
+        const attachments = db.createObjectStore('attachments', { keyPath: 'id', autoIncrement: true });
+        attachments.createIndex('noteId', 'noteId');
+      }
+      if (event.oldVersion < 5) {
+        db.createObjectStore('outbox', { keyPath: 'noteId' });
+      }
+      if (event.oldVersion < 6) {
+        db.createObjectStore('collections', { keyPath: 'id' });
+      }
+      if (event.oldVersion < 7) {
+        db.createObjectStore('places', { keyPath: 'id' });
+      }
+      if (event.oldVersion >= 1 && event.oldVersion < 7) {
+        // One pass over existing notes adds the geohash and groups notes into
+        // places. Notes with encrypted locations can't be read here and stay
+        // without a place.
+        const notes = tx.objectStore('notes');
+        notes.getAll().onsuccess = e => {
+          const records = e.target.result;
+          const placeIds = new Map();
+          clusterPlaces(records).forEach(({ place, noteIds }) => {
+            tx.objectStore('places').put(place);
+            noteIds.forEach(id => placeIds.set(id, place.id));
+          });
+          records.forEach(record => {
+            if (placeIds.has(record.id)) {
+              notes.put(withGeohash({ ...record, placeId: placeIds.get(record.id) }));
+            } else if (event.oldVersion < 2) {
+              notes.put(withGeohash(record));
+            }
+          });
+        };
+      }
+    };
+    request.onblocked = () => {
+      if (onBlocked) {
+        onBlocked();
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        if (onVersionChange) {
+          onVersionChange();
+        }
+      };
+      resolve(indexedDBNoteStore(db));
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionPromise(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function requestPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function indexedDBNoteStore(db) {
+  const read = storeName => db.transaction(storeName, 'readonly').objectStore(storeName);
+
+  function queueSync(tx, noteId) {
+    tx.objectStore('outbox').put({ noteId, queuedAt: new Date().toISOString() });
+  }
+
+  function deleteAttachmentsOf(tx, noteId) {
+    const req = tx.objectStore('attachments').index('noteId').openCursor(IDBKeyRange.only(noteId));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+  }
+
+  return {
+    getNote: id => requestPromise(read('notes').get(id)),
+    getAllNotes: () => requestPromise(read('notes').getAll()),
+    getNotesByTag: tag => requestPromise(read('notes').index('tags').getAll(tag)),
+
+    // Every tag in use, sorted, read from the keys of the tags index.
+    getAllTags() {
+      return new Promise((resolve, reject) => {
+        const req = read('notes').index('tags').openKeyCursor(null, 'nextunique');
+        const tags = [];
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) {
+            resolve(tags);
+            return;
+          }
+          tags.push(cursor.key);
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      });
+    },
+
+    // Every note whose geohash starts with one of `cells`.
+    getNotesInCells(cells) {
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction('notes', 'readonly');
+        const index = tx.objectStore('notes').index('geohash');
+        const notes = [];
+        cells.forEach(cell => {
+          const req = index.getAll(IDBKeyRange.bound(cell, cell + '\uffff'));
+          req.onsuccess = () => notes.push(...req.result);
+        });
+        tx.oncomplete = () => resolve(notes);
+        tx.onerror = () => reject(tx.error);
+      });
+    },
+
+    putNote(record, { queue = false } = {}) {
+      const tx = db.transaction(['notes', 'outbox'], 'readwrite');
+      tx.objectStore('notes').put(record);
+      if (queue) {
+        queueSync(tx, record.id);
+      }
+      return transactionPromise(tx);
+    },
+
+    // Write many notes, attachments and places in one transaction.
+    putRecords({ notes = [], attachments = [], places = [], collections = [] }) {
+      const tx = db.transaction(['notes', 'attachments', 'places', 'collections'], 'readwrite');
+      notes.forEach(record => tx.objectStore('notes').put(record));
+      attachments.forEach(record => tx.objectStore('attachments').put(record));
+      places.forEach(record => tx.objectStore('places').put(record));
+      collections.forEach(record => tx.objectStore('collections').put(record));
+      return transactionPromise(tx);
+    },
+
+    // Delete a note together with its attachments in one transaction.
+    deleteNote(id, { queue = false } = {}) {
+      const tx = db.transaction(['notes', 'attachments', 'outbox'], 'readwrite');
+      tx.objectStore('notes').delete(id);
+      deleteAttachmentsOf(tx, id);
+      if (queue) {
+        queueSync(tx, id);
+      }
+      return transactionPromise(tx);
+    },
+
+    addAttachments(records) {
+      const tx = db.transaction('attachments', 'readwrite');
+      records.forEach(record => tx.objectStore('attachments').put(record));
+      return transactionPromise(tx);
+    },
+
+    getAttachments: noteId => requestPromise(read('attachments').index('noteId').getAll(noteId)),
+    getAllAttachments: () => requestPromise(read('attachments').getAll()),
+
+    deleteAttachment(id) {
+      const tx = db.transaction('attachments', 'readwrite');
+      tx.objectStore('attachments').delete(id);
+      return transactionPromise(tx);
+    },
+
+    // Total bytes used by attachments and their thumbnails.
+    getAttachmentUsage() {
+      return new Promise((resolve, reject) => {
+        const req = read('attachments').openCursor();
+        let total = 0;
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) {
+            resolve(total);
+            return;
+          }
+          total += cursor.value.size || 0;
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      });
+    },
+
+    getPlaces: () => requestPromise(read('places').getAll()),
+
+    putPlace(record) {
+      const tx = db.transaction('places', 'readwrite');
+      tx.objectStore('places').put(record);
+      return transactionPromise(tx);
+    },
+
+    deletePlace(id) {
+      const tx = db.transaction('places', 'readwrite');
+      tx.objectStore('places').delete(id);
+      return transactionPromise(tx);
+    },
+
+    getCollections: () => requestPromise(read('collections').getAll()),
+    getCollection: id => requestPromise(read('collections').get(id)),
+
+    putCollection(record) {
+      const tx = db.transaction('collections', 'readwrite');
+      tx.objectStore('collections').put(record);
+      return transactionPromise(tx);
+    },
+
+    deleteCollection(id) {
+      const tx = db.transaction('collections', 'readwrite');
+      tx.objectStore('collections').delete(id);
+      return transactionPromise(tx);
+    },
+
+    getOutbox: () => requestPromise(read('outbox').getAll()),
+
+    queueNotes(ids) {
+      const tx = db.transaction('outbox', 'readwrite');
+      ids.forEach(id => queueSync(tx, id));
+      return transactionPromise(tx);
+    },
+
+    // Drop an outbox entry unless the note changed again since it was read.
+    removeFromOutbox(entry) {
+      const tx = db.transaction('outbox', 'readwrite');
+      const store = tx.objectStore('outbox');
+      const req = store.get(entry.noteId);
+      req.onsuccess = () => {
+        if (req.result && req.result.queuedAt === entry.queuedAt) {
+          store.delete(entry.noteId);
+        }
+      };
+      return transactionPromise(tx);
+    },
+
+    /**
+     * Apply changes from the sync server, each `{ remote, record }` where
+     * `record` is what to store, or null for a tombstone. Local records
+     * newer than the remote version are kept; applied changes leave the
+     * outbox.
+     */
+    applyRemote(changes) {
+      const tx = db.transaction(['notes', 'attachments', 'outbox'], 'readwrite');
+      const notes = tx.objectStore('notes');
+      changes.forEach(({ remote, record }) => {
+        const req = notes.get(remote.id);
+        req.onsuccess = () => {
+          const local = req.result;
+          if (!remoteWins(local, remote)) {
+            return;
+          }
+          if (record) {
+            notes.put(record);
+          } else if (local) {
+            notes.delete(remote.id);
+            deleteAttachmentsOf(tx, remote.id);
+          }
+          tx.objectStore('outbox').delete(remote.id);
+        };
+      });
+      return transactionPromise(tx);
+    }
+  };
+}
+
+/**
+ * A note store that keeps everything in memory. Records are copied in and
+ * out with structuredClone, as IndexedDB would, so callers can't change
+ * stored data by mutating what they hold.
+ */
+function createMemoryNoteStore() {
+  const notes = new Map();
+  const attachments = new Map();
+  const places = new Map();
+  const collections = new Map();
+  const outbox = new Map();
+  let nextAttachmentId = 1;
+  const copy = value => structuredClone(value);
+  const list = map => [...map.values()].sort(byId).map(copy);
+
+  function queueSync(noteId) {
+    outbox.set(noteId, { noteId, queuedAt: new Date().toISOString() });
+  }
+
+  function deleteAttachmentsOf(noteId) {
+    [...attachments.values()]
+      .filter(a => a.noteId === noteId)
+      .forEach(a => attachments.delete(a.id));
+  }
+
+  return {
+    getNote: async id => (notes.has(id) ? copy(notes.get(id)) : undefined),
+    getAllNotes: async () => list(notes),
+    getNotesByTag: async tag => list(notes).filter(n => Array.isArray(n.tags) && n.tags.includes(tag)),
+
+    async getAllTags() {
+      const tags = new Set();
+      notes.forEach(n => (Array.isArray(n.tags) ? n.tags : []).forEach(tag => tags.add(tag)));
+      return [...tags].sort();
+    },
+
+    getNotesInCells: async cells =>
+      list(notes).filter(n => typeof n.geohash === 'string' && cells.some(cell => n.geohash.startsWith(cell))),
+
+    async putNote(record, { queue = false } = {}) {
+      notes.set(record.id, copy(record));
+      if (queue) {
+        queueSync(record.id);
+      }
+    },
+
+    async putRecords({
+      notes: noteRecords = [],
+      attachments: attachmentRecords = [],
+      places: placeRecords = [],
+      collections: collectionRecords = []
+    }) {
+      noteRecords.forEach(record => notes.set(record.id, copy(record)));
+      attachmentRecords.forEach(record => attachments.set(record.id, copy(record)));
+      placeRecords.forEach(record => places.set(record.id, copy(record)));
+      collectionRecords.forEach(record => collections.set(record.id, copy(record)));
+    },
+
+    async deleteNote(id, { queue = false } = {}) {
+      notes.delete(id);
+      deleteAttachmentsOf(id);
+      if (queue) {
+        queueSync(id);
+      }
+    },
+
+    async addAttachments(records) {
+      records.forEach(record => {
+        const id = record.id !== undefined ? record.id : nextAttachmentId;
+        nextAttachmentId = Math.max(nextAttachmentId, id + 1);
+        attachments.set(id, { ...copy(record), id });
+      });
+    },
+
+    getAttachments: async noteId => list(attachments).filter(a => a.noteId === noteId),
+    getAllAttachments: async () => list(attachments),
+
+    async deleteAttachment(id) {
+      attachments.delete(id);
+    },
+
+    async getAttachmentUsage() {
+      return [...attachments.values()].reduce((total, a) => total + (a.size || 0), 0);
+    },
+
+    getPlaces: async () => list(places),
+
+    async putPlace(record) {
+      places.set(record.id, copy(record));
+    },
+
+    async deletePlace(id) {
+      places.delete(id);
+    },
+
+    getCollections: async () => list(collections),
+    getCollection: async id => (collections.has(id) ? copy(collections.get(id)) : undefined),
+
+    async putCollection(record) {
+      collections.set(record.id, copy(record));
+    },
+
+    async deleteCollection(id) {
+      collections.delete(id);
+    },
+
+    getOutbox: async () => [...outbox.values()].sort((a, b) => byId({ id: a.noteId }, { id: b.noteId })).map(copy),
+
+    async queueNotes(ids) {
+      ids.forEach(queueSync);
+    },
+
+    async removeFromOutbox(entry) {
+      const current = outbox.get(entry.noteId);
+      if (current && current.queuedAt === entry.queuedAt) {
+        outbox.delete(entry.noteId);
+      }
+    },
+
+    async applyRemote(changes) {
+      changes.forEach(({ remote, record }) => {
+        const local = notes.get(remote.id);
+        if (!remoteWins(local, remote)) {
+          return;
+        }
+        if (record) {
+          notes.set(remote.id, copy(record));
+        } else if (local) {
+          notes.delete(remote.id);
+          deleteAttachmentsOf(remote.id);
+        }
+        outbox.delete(remote.id);
+      });
+    }
+  };
+}
+
+// The store used by the app, settled once IndexedDB has opened or failed.
+const storePromise = openNoteStore();
+
+async function openNoteStore() {
+  const blockedNotice = document.getElementById('upgradeBlockedNotice');
+  try {
+    const store = await createIndexedDBNoteStore(window.indexedDB, {
+      onBlocked: () => { blockedNotice.hidden = false; },
+      // A newer version of the app is open elsewhere; this tab can't read
+      // the upgraded database until it reloads.
+      onVersionChange: () => { document.getElementById('staleTabNotice').hidden = false; }
+    });
+    blockedNotice.hidden = true;
+    return store;
+  } catch (err) {
+    blockedNotice.hidden = true;
+    console.error(err);
+    document.getElementById('storageNotice').hidden = false;
+    return createMemoryNoteStore();
+  }
+}
+
+document.getElementById('staleTabReloadBtn').addEventListener('click', () => window.location.reload());
+
+async function addNote(note) {
+  // Encrypt before touching the store: an IndexedDB transaction would close
+  // while waiting on WebCrypto.
+  const record = await encodeNote(withGeohash(note));
+  await (await storePromise).putNote(record, { queue: syncEnabled() });
+  scheduleSync();
+}
+
+async function getNote(id) {
+  const record = await (await storePromise).getNote(id);
+  return record && decodeNote(record);
+}
+
+// Every note record as stored, trashed or not, without decrypting.
+async function getNoteRecords() {
+  return (await storePromise).getAllNotes();
+}
+
+// Notes in the trash are left out of every query but getTrashedNotes().
+function notInTrash(note) {
+  return !note.trashedAt;
+}
+
+// Every stored note, trashed or not.
+async function getStoredNotes() {
+  return decodeNotes(await getNoteRecords());
+}
+
+async function getAllNotes() {
+  return (await getStoredNotes()).filter(notInTrash);
+}
+
+// Every tag in use, sorted.
+async function getAllTags() {
+  return (await storePromise).getAllTags();
+}
+
+async function getNotesByTag(tag) {
+  const records = await (await storePromise).getNotesByTag(tag);
+  return decodeNotes(records.filter(notInTrash));
+}
+
+/**
+ * Split the comma separated tag input into trimmed, lowercase and unique
+ * tags.
+ */
+function parseTags(text) {
+  const tags = String(text || '')
+    .split(',')
+    .map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+function distance(lat1, lon1, lat2, lon2) {
+  const R = 6371e3; // metres
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+// Initial great-circle bearing from the first point to the second, in
+// degrees clockwise from true north.
+function bearing(lat1, lon1, lat2, lon2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+            Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// The nearest of the eight compass points, such as "NE".
+function cardinalDirection(degrees) {
+  const normalized = ((degrees % 360) + 360) % 360;
+  return COMPASS_POINTS[Math.round(normalized / 45) % COMPASS_POINTS.length];
+}
+
+// Geohash spatial index
+// Notes store a full precision geohash. Because nearby points share a hash
+// prefix, a radius query can read a handful of index ranges instead of the
+// whole store.
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEOHASH_PRECISION = 9;
+// Upper bound on index ranges read per radius query before falling back to a
+// full scan.
+const GEOHASH_MAX_CELLS = 16;
+
+function geohashEncode(lat, lon, precision = GEOHASH_PRECISION) {
+  let latMin = -90, latMax = 90;
+  let lonMin = -180, lonMax = 180;
+  let hash = '';
+  let bit = 0;
+  let ch = 0;
+  let evenBit = true;
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lonMin + lonMax) / 2;
+      if (lon >= mid) {
+        ch = ch * 2 + 1;
+        lonMin = mid;
+      } else {
+        ch = ch * 2;
+        lonMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (lat >= mid) {
+        ch = ch * 2 + 1;
+        latMin = mid;
+      } else {
+        ch = ch * 2;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+    if (++bit === 5) {
+      hash += GEOHASH_BASE32[ch];
+      bit = 0;
+      ch = 0;
+    }
+  }
+  return hash;
+}
+
+// Width and height of a geohash cell in degrees.
+function geohashCellSize(precision) {
+  const bits = precision * 5;
+  return {
+    lat: 180 / 2 ** Math.floor(bits / 2),
+    lon: 360 / 2 ** Math.ceil(bits / 2)
+  };
+}
+
+function withGeohash(note) {
+  if (!Number.isFinite(note.lat) || !Number.isFinite(note.lon)) {
+    return note;
+  }
+  return { ...note, geohash: geohashEncode(note.lat, note.lon) };
+}
+
+/**
+ * List the geohash cells that together cover every point within `radius`
+ * metres of lat/lon, using the finest precision that needs at most
+ * GEOHASH_MAX_CELLS cells. Returns null when the circle reaches a pole or is
+ * too large to cover that way, in which case callers scan all notes.
+ */
+function geohashCoverage(lat, lon, radius) {
+  const toRad = deg => deg * Math.PI / 180;
+  const toDeg = rad => rad * 180 / Math.PI;
+  const angle = radius / 6371e3;
+  const latDelta = toDeg(angle);
+  const minLat = lat - latDelta;
+  const maxLat = lat + latDelta;
+  const lonRatio = Math.sin(angle) / Math.cos(toRad(lat));
+  if (minLat < -90 || maxLat > 90 || angle >= Math.PI / 2 || lonRatio >= 1) {
+    return null;
+  }
+  const lonDelta = toDeg(Math.asin(lonRatio));
+  const minLon = lon - lonDelta;
+  const maxLon = lon + lonDelta;
+
+  for (let precision = GEOHASH_PRECISION; precision > 0; precision--) {
+    const size = geohashCellSize(precision);
+    const rowStart = Math.floor((minLat + 90) / size.lat);
+    const rows = Math.floor((maxLat + 90) / size.lat) - rowStart + 1;
+    const colStart = Math.floor((minLon + 180) / size.lon);
+    const cols = Math.floor((maxLon + 180) / size.lon) - colStart + 1;
+    if (rows * cols > GEOHASH_MAX_CELLS) {
+      continue;
+    }
+    const cells = new Set();
+    for (let r = 0; r < rows; r++) {
+      const cellLat = -90 + (rowStart + r + 0.5) * size.lat;
+      for (let c = 0; c < cols; c++) {
+        // Wrap columns that cross the antimeridian.
+        const cellLon = ((-180 + (colStart + c + 0.5) * size.lon + 180) % 360 + 360) % 360 - 180;
+        cells.add(geohashEncode(cellLat, cellLon, precision));
+      }
+    }
+    return [...cells];
+  }
+  return null;
+}
+
+async function getNotesInCells(cells) {
+  const records = await (await storePromise).getNotesInCells(cells);
+  return decodeNotes(records.filter(notInTrash));
+}
+
+async function getNotesByRadius(lat, lon, radius) {
+  // Encrypted locations are not in the geohash index, so every note is read.
+  const cells = encryptsLocation() ? null : geohashCoverage(lat, lon, radius);
+  const notes = cells ? await getNotesInCells(cells) : await getAllNotes();
+  return notes.filter(n => distance(lat, lon, n.lat, n.lon) <= radius);
+}
+
+// Delete a note together with its attachments, and its place when no other
+// note is there.
+async function deleteNote(id) {
+  await (await storePromise).deleteNote(id, { queue: syncEnabled() });
+  await dropUnusedPlaces();
+  scheduleSync();
+}
+
+// Trash
+// Deleting a note from the list only stamps it with `trashedAt`, so it can be
+// restored. Trashed notes are deleted for good, attachments included, when
+// the trash is emptied or once they are older than the retention setting.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function trashNote(id) {
+  const note = await getNote(id);
+  const now = new Date().toISOString();
+  await addNote({ ...note, trashedAt: now, updatedAt: now });
+}
+
+// Take a note out of the trash. Resolves with false when it has already
+// been deleted for good, by emptying the trash or by a sync from elsewhere.
+async function restoreNote(id) {
+  const stored = await getNote(id);
+  if (!stored) {
+    return false;
+  }
+  const { trashedAt, ...note } = stored;
+  await addNote({ ...note, updatedAt: new Date().toISOString() });
+  return true;
+}
+
+// Restore a note from a button, telling the user when it is already gone.
+async function restoreFromTrash(id) {
+  try {
+    if (!await restoreNote(id)) {
+      alert('This note was already deleted for good');
+    }
+  } catch (err) {
+    console.error(err);
+    alert('Failed to restore note');
+  }
+  displayNotes();
+  renderTrash();
+}
+
+// Trashed notes, most recently trashed first.
+async function getTrashedNotes() {
+  const notes = (await getStoredNotes()).filter(n => n.trashedAt);
+  return notes.sort((a, b) => b.trashedAt.localeCompare(a.trashedAt));
+}
+
+/**
+ * Delete trashed notes for good. With `before`, an ISO timestamp, only notes
+ * trashed earlier are deleted. `trashedAt` is never encrypted, so this works
+ * while the app is locked. Resolves with the number of notes deleted.
+ */
+async function emptyTrash(before) {
+  const records = await getNoteRecords();
+  const expired = records.filter(r => r.trashedAt && (!before || r.trashedAt < before));
+  for (const record of expired) {
+    await deleteNote(record.id);
+  }
+  return expired.length;
+}
+
+function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - settingsStore.get('trashDays') * DAY_MS);
+  return emptyTrash(cutoff.toISOString());
+}
+
+// Places
+// A place is a named spot with a radius that notes attach to by `placeId`,
+// so several notes about one café are listed together. A new note joins the
+// nearest place covering its position, or starts a new place. Notes keep
+// their own coordinates. Places stay on the device: `placeId` is left out
+// when a note is synced, and notes pulled from the server, imported or saved
+// from a shared link are attached to a place here like new notes. A place
+// is deleted once no note, trashed ones included, is attached to it.
+const PLACE_RADIUS = 10;
+
+async function getPlaces() {
+  const records = await (await storePromise).getPlaces();
+  return Promise.all(records.map(decodePlace));
+}
+
+// Delete places no note is attached to. Ids are never encrypted, so this
+// works while the app is locked.
+async function dropUnusedPlaces() {
+  const store = await storePromise;
+  const used = new Set((await store.getAllNotes()).map(r => r.placeId));
+  for (const place of await store.getPlaces()) {
+    if (!used.has(place.id)) {
+      await store.deletePlace(place.id);
+    }
+  }
+}
+
+function newPlace({ name, lat, lon, createdAt = new Date().toISOString() }) {
+  return { id: crypto.randomUUID(), name: name || null, lat, lon, radius: PLACE_RADIUS, createdAt };
+}
+
+// The nearest place whose radius covers the position, or undefined.
+async function findPlace(lat, lon) {
+  let nearest;
+  let nearestDistance = Infinity;
+  (await getPlaces()).forEach(place => {
+    const dist = distance(lat, lon, place.lat, place.lon);
+    if (dist <= place.radius && dist < nearestDistance) {
+      nearest = place;
+      nearestDistance = dist;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Attach a note to the place at its position, creating the place when
+ * there is none. A note without a place name takes the place's.
+ */
+async function attachToPlace(note) {
+  let place = await findPlace(note.lat, note.lon);
+  if (!place) {
+    place = newPlace({ name: note.placeName, lat: note.lat, lon: note.lon });
+    await (await storePromise).putPlace(await encodePlace(place));
+  }
+  const attached = { ...note, placeId: place.id };
+  if (!note.placeName && place.name) {
+    attached.placeName = place.name;
+    delete attached.placeNamePending;
+  }
+  return attached;
+}
+
+/**
+ * Group notes that have no place yet into places, used when places were
+ * introduced. Notes are taken oldest first; each joins the first group whose
+ * first note is within PLACE_RADIUS or starts a new one. A place sits at the
+ * mean position of its notes and is named after the first note with a place
+ * name. Returns `{ place, noteIds }` for every group.
+ */
+function clusterPlaces(notes) {
+  const groups = [];
+  notes
+    .filter(n => !n.placeId && Number.isFinite(n.lat) && Number.isFinite(n.lon))
+    .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
+    .forEach(n => {
+      const group = groups.find(g => distance(g[0].lat, g[0].lon, n.lat, n.lon) <= PLACE_RADIUS);
+      if (group) {
+        group.push(n);
+      } else {
+        groups.push([n]);
+      }
+    });
+  return groups.map(group => {
+    const named = group.find(n => n.placeName);
+    const place = newPlace({
+      name: named && named.placeName,
+      lat: group.reduce((sum, n) => sum + n.lat, 0) / group.length,
+      lon: group.reduce((sum, n) => sum + n.lon, 0) / group.length,
+      createdAt: group[0].createdAt
+    });
+    return { place, noteIds: group.map(n => n.id) };
+  });
+}
+
+// Reminders
+// Notes can carry a `dueDate` and an `expiryDate`, both local dates as
+// YYYY-MM-DD, and a `remindNear` flag. A note stays out of the nearby list
+// before its due date and after its expiry date. A note with a due date that
+// has arrived, or with remindNear, is an active reminder until marked done
+// with `doneAt`; active reminders head the nearby list, and remindNear ones
+// raise an alert once per session when a position fix is near them.
+const reminded = new Set();
+
+// A date as YYYY-MM-DD in local time, the format of date inputs.
+function localDate(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Whether a note belongs in the nearby list today.
+function isShown(note, today = localDate()) {
+  if (note.dueDate && note.dueDate > today) {
+    return false;
+  }
+  return !(note.expiryDate && note.expiryDate < today);
+}
+
+function isActiveReminder(note, today = localDate()) {
+  return Boolean(!note.doneAt && (note.dueDate || note.remindNear) && isShown(note, today));
+}
+
+async function completeReminder(id) {
+  const note = await getNote(id);
+  const now = new Date().toISOString();
+  await addNote({ ...note, doneAt: now, updatedAt: now });
+}
+
+// Alert once per session for each active remindNear note within the walk
+// mode alert radius of `pos`.
+async function checkReminders(pos) {
+  if (isLocked()) {
+    return;
+  }
+  const { latitude, longitude } = pos.coords;
+  const notes = await getNotesByRadius(latitude, longitude, settingsStore.get('alertRadius'));
+  notes
+    .filter(n => n.remindNear && isActiveReminder(n) && !reminded.has(n.id))
+    .forEach(n => {
+      reminded.add(n.id);
+      notifyNearby(n, `Reminder: ${n.title}`);
+    });
+}
+
+// Collections
+// A collection is a named list of notes kept in order, such as the stops of
+// a trip planned from place searches. Collections hold note ids only, so a
+// note can belong to several. Notes in the trash, or deleted for good, are
+// left out when a collection is read. With encryption on, the name and note
+// ids are encrypted like a note's contents.
+
+// Every collection, sorted by name.
+async function getCollections() {
+  const records = await (await storePromise).getCollections();
+  const collections = await Promise.all(records.map(decodeCollection));
+  return collections.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getCollection(id) {
+  const record = await (await storePromise).getCollection(id);
+  return record && decodeCollection(record);
+}
+
+async function putCollection(collection) {
+  const record = await encodeCollection(collection);
+  await (await storePromise).putCollection(record);
+}
+
+async function createCollection(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('A collection needs a name');
+  }
+  const now = new Date().toISOString();
+  const collection = { id: Date.now(), name: trimmed, noteIds: [], createdAt: now, updatedAt: now };
+  await putCollection(collection);
+  return collection;
+}
+
+// Save `collection` with its note ids changed by `update`.
+async function updateCollectionNotes(collection, update) {
+  const updated = { ...collection, noteIds: update([...collection.noteIds]), updatedAt: new Date().toISOString() };
+  await putCollection(updated);
+  return updated;
+}
+
+// Add a note to the end of a collection, unless it is already there.
+async function addToCollection(collectionId, noteId) {
+  const collection = await getCollection(collectionId);
+  if (collection.noteIds.includes(noteId)) {
+    return collection;
+  }
+  return updateCollectionNotes(collection, ids => [...ids, noteId]);
+}
+
+async function removeFromCollection(collectionId, noteId) {
+  const collection = await getCollection(collectionId);
+  return updateCollectionNotes(collection, ids => ids.filter(id => id !== noteId));
+}
+
+// Move a note `offset` places along a collection, stopping at either end.
+// Notes in the trash keep their slots, so the move counts listed notes only.
+async function moveInCollection(collectionId, noteId, offset) {
+  const collection = await getCollection(collectionId);
+  const listed = new Set((await getCollectionNotes(collection)).map(n => n.id));
+  return updateCollectionNotes(collection, ids => {
+    const slots = ids.flatMap((id, i) => (listed.has(id) ? [i] : []));
+    const order = slots.map(i => ids[i]);
+    const from = order.indexOf(noteId);
+    const to = Math.max(0, Math.min(order.length - 1, from + offset));
+    order.splice(to, 0, ...order.splice(from, 1));
+    slots.forEach((slot, i) => { ids[slot] = order[i]; });
+    return ids;
+  });
+}
+
+// The notes of a collection in itinerary order.
+async function getCollectionNotes(collection) {
+  const notes = new Map((await getAllNotes()).map(n => [n.id, n]));
+  return collection.noteIds.filter(id => notes.has(id)).map(id => notes.get(id));
+}
+
+// Length of the route visiting `notes` in order, in metres, measured in
+// straight lines between stops.
+function routeLength(notes) {
+  return notes.reduce((total, n, i) => {
+    const prev = notes[i - 1];
+    return prev ? total + distance(prev.lat, prev.lon, n.lat, n.lon) : total;
+  }, 0);
+}
+
+/**
+ * Delete a collection. With `withNotes`, its notes are moved to the trash
+ * too, where they can still be restored; otherwise they are kept.
+ */
+async function deleteCollection(id, { withNotes = false } = {}) {
+  const collection = await getCollection(id);
+  if (withNotes && collection) {
+    const notes = await getCollectionNotes(collection);
+    for (const note of notes) {
+      await trashNote(note.id);
+    }
+  }
+  await (await storePromise).deleteCollection(id);
+}
+
+// Attachments
+// Photos and audio clips are stored as Blobs in their own store, keyed by an
+// auto-incremented id and indexed by the note they belong to. Images get a
+// small JPEG thumbnail made on the device so lists don't decode full photos.
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Scale an image down to fit THUMBNAIL_SIZE. Resolves to null for other
+ * file types or when the browser cannot decode the image.
+ */
+async function createThumbnail(file) {
+  if (!file.type.startsWith('image/') || typeof createImageBitmap !== 'function') {
+    return null;
+  }
+  try {
+    const bitmap = await createImageBitmap(file);
+    const ratio = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * ratio);
+    canvas.height = Math.round(bitmap.height * ratio);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+/**
+ * Store files (or Blobs with a `name`) as attachments of a note.
+ * Thumbnails are made first because an IndexedDB transaction closes while
+ * other asynchronous work is awaited.
+ */
+async function addAttachments(noteId, files) {
+  const records = [];
+  for (const file of files) {
+    const thumbnail = await createThumbnail(file);
+    records.push({
+      noteId,
+      name: file.name || 'attachment',
+      type: file.type,
+      size: file.size + (thumbnail ? thumbnail.size : 0),
+      blob: file,
+      thumbnail,
+      createdAt: new Date().toISOString()
+    });
+  }
+  const sealed = await Promise.all(records.map(encodeAttachment));
+  return (await storePromise).addAttachments(sealed);
+}
+
+async function getAttachments(noteId) {
+  const records = await (await storePromise).getAttachments(noteId);
+  return Promise.all(records.map(decodeAttachment));
+}
+
+async function deleteAttachment(id) {
+  return (await storePromise).deleteAttachment(id);
+}
+
+// Total bytes used by attachments and their thumbnails.
+async function getAttachmentUsage() {
+  return (await storePromise).getAttachmentUsage();
+}
+
+// Fields whose earlier values are kept in a note's revision history.
+const REVISED_FIELDS = ['title', 'body'];
+
+/**
+ * Return a copy of `note` with `changes` applied. When the title or body
+ * changes, the previous version is appended to `revisions` so it can be
+ * viewed or restored later. The note is returned as is when nothing changed.
+ */
+function reviseNote(note, changes) {
+  // Notes saved before tags existed have none rather than an empty list.
+  const current = { ...note, tags: note.tags || [] };
+  const changed = Object.keys(changes)
+    .filter(key => JSON.stringify(changes[key]) !== JSON.stringify(current[key]));
+  if (!changed.length) {
+    return note;
+  }
+  const revisions = note.revisions ? note.revisions.slice() : [];
+  if (changed.some(key => REVISED_FIELDS.includes(key))) {
+    revisions.push({
+      title: note.title,
+      body: note.body,
+      savedAt: note.updatedAt || note.createdAt
+    });
+  }
+  return {
+    ...note,
+    ...changes,
+    revisions,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Bring back an earlier version of a note. The current content becomes a
+ * revision itself, so a restore can be undone from the history as well.
+ */
+function restoreRevision(note, index) {
+  const revision = note.revisions[index];
+  return reviseNote(note, { title: revision.title, body: revision.body });
+}
+
+// Export and import
+// Notes can be written to GeoJSON, GPX waypoints or KML placemarks and read
+// back from any of them. Imports go through addNote and skip notes that are
+// already stored, so importing the same file twice is harmless, while newer
+// versions of stored notes replace them.
+const EXPORT_FORMATS = {
+  geojson: { extension: 'geojson', type: 'application/geo+json', serialize: notesToGeoJSON },
+  gpx: { extension: 'gpx', type: 'application/gpx+xml', serialize: notesToGPX },
+  kml: { extension: 'kml', type: 'application/vnd.google-earth.kml+xml', serialize: notesToKML }
+};
+// Note fields carried in GeoJSON properties besides the coordinates.
+const NOTE_PROPERTIES = [
+  'title', 'body', 'tags', 'placeName', 'accuracy', 'altitude', 'dueDate', 'expiryDate', 'remindNear', 'doneAt',
+  'createdAt', 'updatedAt', 'revisions'
+];
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function notesToGeoJSON(notes) {
+  const features = notes.map(n => {
+    const properties = { id: n.id };
+    NOTE_PROPERTIES.forEach(key => {
+      if (n[key] !== undefined) {
+        properties[key] = n[key];
+      }
+    });
+    return {
+      type: 'Feature',
+      id: n.id,
+      geometry: { type: 'Point', coordinates: [n.lon, n.lat] },
+      properties
+    };
+  });
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+function notesToGPX(notes) {
+  const waypoints = notes.map(n => [
+    `  <wpt lat="${n.lat}" lon="${n.lon}">`,
+    n.createdAt ? `    <time>${escapeXml(n.createdAt)}</time>` : null,
+    `    <name>${escapeXml(n.title)}</name>`,
+    n.body ? `    <desc>${escapeXml(n.body)}</desc>` : null,
+    '  </wpt>'
+  ].filter(line => line !== null).join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Place Notes" xmlns="http://www.topografix.com/GPX/1/1">',
+    ...waypoints,
+    '</gpx>'
+  ].join('\n');
+}
+
+function notesToKML(notes) {
+  const placemarks = notes.map(n => [
+    `    <Placemark id="note-${escapeXml(n.id)}">`,
+    `      <name>${escapeXml(n.title)}</name>`,
+    n.body ? `      <description>${escapeXml(n.body)}</description>` : null,
+    n.createdAt ? `      <TimeStamp><when>${escapeXml(n.createdAt)}</when></TimeStamp>` : null,
+    `      <Point><coordinates>${n.lon},${n.lat}</coordinates></Point>`,
+    '    </Placemark>'
+  ].filter(line => line !== null).join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>Place Notes</name>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>'
+  ].join('\n');
+}
+
+// Text of the first direct child element called `name`, or undefined.
+function childText(el, name) {
+  const child = Array.from(el.children).find(c => c.localName === name);
+  return child ? child.textContent.trim() : undefined;
+}
+
+function parseGeoJSON(text) {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+  if (!Array.isArray(features)) {
+    throw new Error('GeoJSON has no features');
+  }
+  return features.map(f => {
+    const props = (f && f.properties) || {};
+    const coords = f && f.geometry && f.geometry.type === 'Point' ? f.geometry.coordinates : [];
+    const note = {
+      id: props.id !== undefined ? props.id : f && f.id,
+      lat: coords[1],
+      lon: coords[0],
+      title: props.title !== undefined ? props.title : props.name,
+      body: props.body !== undefined ? props.body : props.description
+    };
+    NOTE_PROPERTIES.forEach(key => {
+      if (note[key] === undefined && props[key] !== undefined) {
+        note[key] = props[key];
+      }
+    });
+    return note;
+  });
+}
+
+function parseGPX(doc) {
+  return Array.from(doc.getElementsByTagNameNS('*', 'wpt')).map(wpt => ({
+    lat: parseFloat(wpt.getAttribute('lat')),
+    lon: parseFloat(wpt.getAttribute('lon')),
+    title: childText(wpt, 'name'),
+    body: childText(wpt, 'desc') || childText(wpt, 'cmt'),
+    createdAt: childText(wpt, 'time')
+  }));
+}
+
+function parseKML(doc) {
+  return Array.from(doc.getElementsByTagNameNS('*', 'Placemark')).map(placemark => {
+    const coordinates = placemark.getElementsByTagNameNS('*', 'coordinates')[0];
+    const [lon, lat] = coordinates ? coordinates.textContent.trim().split(',').map(parseFloat) : [];
+    const when = placemark.getElementsByTagNameNS('*', 'when')[0];
+    const idMatch = /^note-(.+)$/.exec(placemark.getAttribute('id') || '');
+    let id;
+    if (idMatch) {
+      id = /^\d+$/.test(idMatch[1]) ? Number(idMatch[1]) : idMatch[1];
+    }
+    return {
+      id,
+      lat,
+      lon,
+      title: childText(placemark, 'name'),
+      body: childText(placemark, 'description'),
+      createdAt: when ? when.textContent.trim() : undefined
+    };
+  });
+}
+
+/**
+ * Parse a GeoJSON, GPX or KML document into candidate notes. The format is
+ * detected from the content rather than the file name.
+ */
+function parseNotesFile(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    return parseGeoJSON(trimmed);
+  }
+  const doc = new DOMParser().parseFromString(trimmed, 'application/xml');
+  const root = doc.documentElement;
+  if (!root || root.getElementsByTagName('parsererror').length || root.localName === 'parsererror') {
+    throw new Error('File is not valid GeoJSON, GPX or KML');
+  }
+  if (root.localName === 'gpx') {
+    return parseGPX(doc);
+  }
+  if (root.localName === 'kml') {
+    return parseKML(doc);
+  }
+  throw new Error('File is not valid GeoJSON, GPX or KML');
+}
+
+function isTimestamp(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+function isCalendarDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isRevision(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    typeof value.title === 'string' && typeof value.body === 'string' &&
+    (value.savedAt === undefined || isTimestamp(value.savedAt));
+}
+
+// Imported fields beyond coordinates, title and body, which the rest of the
+// app trusts to have the shape it saves them with.
+const IMPORTED_FIELD_CHECKS = {
+  tags: {
+    valid: value => Array.isArray(value) && value.every(tag => typeof tag === 'string'),
+    expected: 'a list of text'
+  },
+  placeName: { valid: value => typeof value === 'string', expected: 'text' },
+  accuracy: { valid: Number.isFinite, expected: 'a number' },
+  altitude: { valid: Number.isFinite, expected: 'a number' },
+  dueDate: { valid: isCalendarDate, expected: 'a date like 2024-05-31' },
+  expiryDate: { valid: isCalendarDate, expected: 'a date like 2024-05-31' },
+  remindNear: { valid: value => typeof value === 'boolean', expected: 'true or false' },
+  doneAt: { valid: isTimestamp, expected: 'a date and time' },
+  createdAt: { valid: isTimestamp, expected: 'a date and time' },
+  updatedAt: { valid: isTimestamp, expected: 'a date and time' },
+  revisions: {
+    valid: value => Array.isArray(value) && value.every(isRevision),
+    expected: 'a list of earlier versions with a title and body'
+  }
+};
+
+// Describe why an imported note cannot be saved, or return null if it can.
+function validateImportedNote(note) {
+  if (!Number.isFinite(note.lat) || note.lat < -90 || note.lat > 90) {
+    return 'latitude must be a number between -90 and 90';
+  }
+  if (!Number.isFinite(note.lon) || note.lon < -180 || note.lon > 180) {
+    return 'longitude must be a number between -180 and 180';
+  }
+  if (note.title !== undefined && typeof note.title !== 'string') {
+    return 'title must be text';
+  }
+  if (note.body !== undefined && typeof note.body !== 'string') {
+    return 'body must be text';
+  }
+  const invalid = Object.keys(IMPORTED_FIELD_CHECKS)
+    .find(key => note[key] !== undefined && !IMPORTED_FIELD_CHECKS[key].valid(note[key]));
+  return invalid ? `${invalid} must be ${IMPORTED_FIELD_CHECKS[invalid].expected}` : null;
+}
+
+// Identify a note by its content so formats without ids can be deduplicated.
+function noteFingerprint(note) {
+  return [note.title, note.body || '', note.lat.toFixed(6), note.lon.toFixed(6)].join('\u0000');
+}
+
+// When a note was last changed, for telling which of two versions is newer.
+function noteChangedAt(note) {
+  return Date.parse(note.updatedAt || note.createdAt) || 0;
+}
+
+/**
+ * Import notes from a GeoJSON, GPX or KML document. Notes whose content
+ * matches a stored note are skipped. A note sharing a stored note's id but
+ * with other content replaces it when newer, is left out when older, and is
+ * added under a new id otherwise. The result counts each case.
+ * Invalid entries are reported by position and do not stop the rest of the
+ * import.
+ */
+async function importNotes(text) {
+  const candidates = parseNotesFile(text);
+  const existing = await getStoredNotes();
+  const stored = new Map(existing.map(n => [n.id, n]));
+  const fingerprints = new Set(existing.map(noteFingerprint));
+  const result = { imported: 0, updated: 0, skipped: 0, outdated: 0, copied: 0, errors: [] };
+  let nextId = Date.now();
+
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = candidates[i];
+    const problem = validateImportedNote(candidate);
+    if (problem) {
+      result.errors.push(`Entry ${i + 1}: ${problem}`);
+      continue;
+    }
+    const note = {
+      ...candidate,
+      title: candidate.title || 'Untitled',
+      body: candidate.body || '',
+      createdAt: candidate.createdAt || new Date().toISOString()
+    };
+    const fingerprint = noteFingerprint(note);
+    if (fingerprints.has(fingerprint)) {
+      result.skipped++;
+      continue;
+    }
+    const current = stored.get(note.id);
+    if (current) {
+      // An entry without dates can't be ordered, so it is kept as a copy.
+      const importedAt = noteChangedAt(candidate);
+      if (importedAt && importedAt > noteChangedAt(current)) {
+        const updated = { ...current, ...note };
+        stored.set(note.id, updated);
+        fingerprints.add(fingerprint);
+        await addNote(updated);
+        result.updated++;
+        continue;
+      }
+      if (importedAt && importedAt < noteChangedAt(current)) {
+        result.outdated++;
+        continue;
+      }
+      result.copied++;
+      note.id = undefined;
+    }
+    if (note.id === undefined || note.id === null) {
+      while (stored.has(nextId)) {
+        nextId++;
+      }
+      note.id = nextId;
+    }
+    stored.set(note.id, note);
+    fingerprints.add(fingerprint);
+    await addNote(await attachToPlace(note));
+    result.imported++;
+  }
+  return result;
+}
+
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+async function exportNotes(format) {
+  const { extension, type, serialize } = EXPORT_FORMATS[format];
+  const notes = await getAllNotes();
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(`place-notes-${date}.${extension}`, type, serialize(notes));
+}
+
+// Export the notes of one collection in itinerary order.
+async function exportCollection(id, format) {
+  const { extension, type, serialize } = EXPORT_FORMATS[format];
+  const collection = await getCollection(id);
+  const notes = await getCollectionNotes(collection);
+  const slug = collection.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'collection';
+  downloadFile(`${slug}.${extension}`, type, serialize(notes));
+}
+
+// Full-text search
+// Searches the title and body of every saved note, wherever it is. All
+// matching happens on the device so it works offline. Each query word must
+// match the start of a word in the note; title matches weigh more.
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip accents so "Café" matches "cafe".
+function normalizeWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function tokenize(text) {
+  return (String(text || '').match(WORD_PATTERN) || []).map(normalizeWord);
+}
+
+function scoreTerm(term, titleWords, bodyWords) {
+  let score = 0;
+  titleWords.forEach(word => {
+    if (word === term) {
+      score += 3;
+    } else if (word.startsWith(term)) {
+      score += 2;
+    }
+  });
+  bodyWords.forEach(word => {
+    if (word === term) {
+      score += 1;
+    } else if (word.startsWith(term)) {
+      score += 0.5;
+    }
+  });
+  return score;
+}
+
+/**
+ * Find notes matching every word of `query`. Results are
+ * `{ note, score, distance }` sorted by score, or by distance from
+ * `position` when `sort` is "distance" and a position is known.
+ */
+async function searchNotes(query, { sort = 'relevance', position } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) {
+    return [];
+  }
+  const notes = await getAllNotes();
+  const results = [];
+  notes.forEach(note => {
+    const titleWords = tokenize(note.title);
+    const bodyWords = tokenize(note.body);
+    let score = 0;
+    for (const term of terms) {
+      const termScore = scoreTerm(term, titleWords, bodyWords);
+      if (!termScore) {
+        return;
+      }
+      score += termScore;
+    }
+    const dist = position
+      ? distance(position.coords.latitude, position.coords.longitude, note.lat, note.lon)
+      : undefined;
+    results.push({ note, score, distance: dist });
+  });
+  if (sort === 'distance' && position) {
+    results.sort((a, b) => a.distance - b.distance);
+  } else {
+    results.sort((a, b) => b.score - a.score || String(b.note.createdAt).localeCompare(String(a.note.createdAt)));
+  }
+  return results;
+}
+
+/**
+ * Return a fragment of `text` with every word matching one of `terms`
+ * wrapped in <mark>. Text is added as text nodes, never parsed as HTML.
+ */
+function highlightText(text, terms) {
+  const fragment = document.createDocumentFragment();
+  const source = String(text || '');
+  let last = 0;
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    const word = normalizeWord(match[0]);
+    if (!terms.some(term => word.startsWith(term))) {
+      continue;
+    }
+    fragment.appendChild(document.createTextNode(source.slice(last, match.index)));
+    const mark = document.createElement('mark');
+    mark.textContent = match[0];
+    fragment.appendChild(mark);
+    last = match.index + match[0].length;
+  }
+  fragment.appendChild(document.createTextNode(source.slice(last)));
+  return fragment;
+}
+
+// Markdown
+// Note bodies are shown as a small, safe subset of Markdown: ATX headings,
+// bulleted and numbered lists, task list items (`- [ ]` and `- [x]`),
+// paragraphs, inline code, links, bold and italics. Output is built from DOM
+// nodes with textContent, never HTML strings, and links are limited to
+// MARKDOWN_LINK_PROTOCOLS, so a body can't inject markup or scripts.
+const MARKDOWN_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MARKDOWN_LIST_ITEM = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+const MARKDOWN_TASK = /^\[([ xX])\](?:\s+(.*))?$/;
+const MARKDOWN_TASK_LINE = /^(\s*[-*+]\s+\[)([ xX])(\])/;
+const MARKDOWN_INLINE = new RegExp([
+  '`([^`]+)`',
+  // One level of parentheses is allowed inside a link's URL.
+  '\\[([^\\]]+)\\]\\(((?:[^()\\s]|\\([^()\\s]*\\))+)\\)',
+  '(https?://[^\\s<]*[^\\s<.,;:!?)\\]\'"])',
+  '\\*\\*(.+?)\\*\\*',
+  '\\*([^*\\s](?:[^*]*[^*\\s])?)\\*',
+  '(?<![\\p{L}\\p{N}])_([^_\\s](?:[^_]*[^_\\s])?)_(?![\\p{L}\\p{N}])'
+].join('|'), 'gu');
+
+/**
+ * Split a body into blocks: `{ type: 'heading', level, text }`,
+ * `{ type: 'list', ordered, start, items }` and
+ * `{ type: 'paragraph', lines }`. List items are `{ text, checked, line }`,
+ * where `checked` is null for items that aren't tasks and `line` is the
+ * item's line number in the body.
+ */
+function parseMarkdown(text) {
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+  String(text || '').split('\n').forEach((raw, line) => {
+    if (!raw.trim()) {
+      paragraph = list = null;
+      return;
+    }
+    const heading = raw.match(MARKDOWN_HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      paragraph = list = null;
+      return;
+    }
+    const item = raw.match(MARKDOWN_LIST_ITEM);
+    if (item) {
+      const ordered = Boolean(item[2]);
+      if (!list || list.ordered !== ordered) {
+        list = { type: 'list', ordered, start: ordered ? Number(item[2]) : 1, items: [] };
+        blocks.push(list);
+      }
+      paragraph = null;
+      const task = ordered ? null : item[3].match(MARKDOWN_TASK);
+      list.items.push(task
+        ? { text: task[2] || '', checked: task[1] !== ' ', line }
+        : { text: item[3], checked: null, line });
+      return;
+    }
+    // Indented lines continue the list item above them.
+    if (list && /^\s/.test(raw)) {
+      list.items[list.items.length - 1].text += ` ${raw.trim()}`;
+      return;
+    }
+    list = null;
+    if (!paragraph) {
+      paragraph = { type: 'paragraph', lines: [] };
+      blocks.push(paragraph);
+    }
+    paragraph.lines.push(raw.trim());
+  });
+  return blocks;
+}
+
+// The URL a Markdown link may point to, or null for other protocols such as
+// javascript:.
+function safeLinkUrl(href) {
+  try {
+    const url = new URL(href, location.href);
+    return MARKDOWN_LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function markdownLink(text, href) {
+  const url = safeLinkUrl(href);
+  if (!url) {
+    return document.createTextNode(text);
+  }
+  const link = document.createElement('a');
+  link.href = url;
+  link.textContent = text;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  return link;
+}
+
+// Inline Markdown of one line as a fragment of text and elements.
+function renderInline(text) {
+  const fragment = document.createDocumentFragment();
+  let last = 0;
+  for (const match of text.matchAll(MARKDOWN_INLINE)) {
+    fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+    const [, code, linkText, href, url, strong, em, underscoreEm] = match;
+    let node;
+    if (code !== undefined) {
+      node = document.createElement('code');
+      node.textContent = code;
+    } else if (linkText !== undefined) {
+      node = markdownLink(linkText, href);
+    } else if (url !== undefined) {
+      node = markdownLink(url, url);
+    } else {
+      node = document.createElement(strong !== undefined ? 'strong' : 'em');
+      node.appendChild(renderInline(strong !== undefined ? strong : em !== undefined ? em : underscoreEm));
+    }
+    fragment.appendChild(node);
+    last = match.index + match[0].length;
+  }
+  fragment.appendChild(document.createTextNode(text.slice(last)));
+  return fragment;
+}
+
+/**
+ * Render a note body as a fragment of DOM nodes. Task checkboxes call
+ * `onToggle(line, checked)` with the item's line number and new state when
+ * ticked; without `onToggle` they are read-only.
+ */
+function renderMarkdown(text, { onToggle } = {}) {
+  const fragment = document.createDocumentFragment();
+  parseMarkdown(text).forEach(block => {
+    if (block.type === 'heading') {
+      const heading = document.createElement(`h${block.level}`);
+      heading.appendChild(renderInline(block.text));
+      fragment.appendChild(heading);
+    } else if (block.type === 'list') {
+      const list = document.createElement(block.ordered ? 'ol' : 'ul');
+      if (block.ordered && block.start !== 1) {
+        list.start = block.start;
+      }
+      block.items.forEach(item => {
+        const li = document.createElement('li');
+        if (item.checked !== null) {
+          li.className = 'task';
+          const box = document.createElement('input');
+          box.type = 'checkbox';
+          box.checked = item.checked;
+          box.disabled = !onToggle;
+          box.addEventListener('change', () => onToggle(item.line, box.checked));
+          li.appendChild(box);
+          li.appendChild(document.createTextNode(' '));
+        }
+        li.appendChild(renderInline(item.text));
+        list.appendChild(li);
+      });
+      fragment.appendChild(list);
+    } else {
+      // Line breaks inside a paragraph are kept, as people type notes.
+      const p = document.createElement('p');
+      block.lines.forEach((line, i) => {
+        if (i) {
+          p.appendChild(document.createElement('br'));
+        }
+        p.appendChild(renderInline(line));
+      });
+      fragment.appendChild(p);
+    }
+  });
+  return fragment;
+}
+
+// Tick or untick the task list item on line `line` of a body, or set it to
+// `checked` when given.
+function toggleTask(text, line, checked) {
+  const lines = text.split('\n');
+  lines[line] = lines[line].replace(MARKDOWN_TASK_LINE, (all, open, mark, close) => {
+    const tick = checked === undefined ? mark === ' ' : checked;
+    return `${open}${tick ? 'x' : ' '}${close}`;
+  });
+  return lines.join('\n');
+}
+
+// Ticks are saved one after another, each to the note as stored at the
+// time, so quick ticks on several boxes and edits made elsewhere all stay.
+let taskToggles = Promise.resolve();
+
+/**
+ * Save note `id` with the task on `line` ticked or unticked, or set to
+ * `checked` when given. Resolves with the saved note. Ticks aren't kept in
+ * the revision history.
+ */
+function toggleNoteTask(id, line, checked) {
+  const toggled = taskToggles.then(async () => {
+    const note = await getNote(id);
+    if (!note || note.trashedAt) {
+      throw new Error('This note was deleted');
+    }
+    const updated = { ...note, body: toggleTask(note.body, line, checked), updatedAt: new Date().toISOString() };
+    await addNote(updated);
+    return updated;
+  });
+  taskToggles = toggled.catch(() => {});
+  return toggled;
+}
+
+// Encryption
+// Optional passphrase encryption of note contents at rest. A key is derived
+// from the passphrase with PBKDF2 and used with AES-GCM. Encrypted notes keep
+// their title, body and revisions in `enc`, attachments keep their Blobs
+// there too, and collections their name and note ids. Coordinates stay
+// readable for radius queries unless `encryptLocation` was chosen, in which
+// case lat, lon and the place name are encrypted as well and lookups decrypt
+// every note. Tags stay readable so they can be indexed and listed, as does
+// the place name when locations do.
+// Only the salt, settings and an encrypted check value are kept in
+// localStorage; the key lives in memory until the app locks.
+// Sealed notes record the salt of their key as `enc.keyId`. Changing the
+// passphrase or turning encryption off first saves the new setup under
+// CRYPTO_PENDING_KEY, then rewrites every record in one transaction, then
+// makes the new setup current. If the app stops part way, the records show
+// whether the rewrite happened, and settleCryptoChange() rolls forward or
+// back to match them.
+const CRYPTO_CONFIG_KEY = 'place-notes-crypto';
+const CRYPTO_PENDING_KEY = 'place-notes-crypto-pending';
+const PBKDF2_ITERATIONS = 600000;
+const VERIFIER_TEXT = 'place-notes';
+const NOTE_SECRET_FIELDS = ['title', 'body', 'revisions'];
+const LOCATION_SECRET_FIELDS = ['lat', 'lon', 'placeName', 'accuracy', 'altitude'];
+let cryptoKey = null;
+let lockTimer = null;
+
+function readCryptoConfig() {
+  try {
+    return JSON.parse(localStorage.getItem(CRYPTO_CONFIG_KEY) || 'null');
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+function writeCryptoConfig(config) {
+  if (config) {
+    localStorage.setItem(CRYPTO_CONFIG_KEY, JSON.stringify(config));
+  } else {
+    localStorage.removeItem(CRYPTO_CONFIG_KEY);
+  }
+}
+
+// The setup a passphrase change is switching to, as `{ config }` with a null
+// config when encryption is being turned off, or null when none is under way.
+function readPendingCryptoChange() {
+  try {
+    return JSON.parse(localStorage.getItem(CRYPTO_PENDING_KEY) || 'null');
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+function writePendingCryptoChange(config) {
+  if (config === undefined) {
+    localStorage.removeItem(CRYPTO_PENDING_KEY);
+  } else {
+    localStorage.setItem(CRYPTO_PENDING_KEY, JSON.stringify({ config }));
+  }
+}
+
+function encryptionEnabled() {
+  return Boolean(readCryptoConfig());
+}
+
+function encryptsLocation() {
+  const config = readCryptoConfig();
+  return Boolean(config && config.encryptLocation);
+}
+
+function isLocked() {
+  return encryptionEnabled() && !cryptoKey;
+}
+
+function requireKey() {
+  if (!cryptoKey) {
+    throw new Error('Notes are locked');
+  }
+  return cryptoKey;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv, data };
+}
+
+function decryptBytes(key, { iv, data }) {
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+}
+
+function secretFields(config) {
+  return config.encryptLocation ? NOTE_SECRET_FIELDS.concat(LOCATION_SECRET_FIELDS) : NOTE_SECRET_FIELDS;
+}
+
+async function sealNote(note, config, key) {
+  const record = { ...note };
+  const secret = {};
+  secretFields(config).forEach(field => {
+    if (field in record) {
+      secret[field] = record[field];
+      delete record[field];
+    }
+  });
+  if (config.encryptLocation) {
+    delete record.geohash;
+  }
+  const enc = await encryptBytes(key, new TextEncoder().encode(JSON.stringify(secret)));
+  record.enc = { ...enc, keyId: config.salt };
+  return record;
+}
+
+async function openNote(record, key) {
+  const { enc, ...note } = record;
+  const secret = JSON.parse(new TextDecoder().decode(await decryptBytes(key, enc)));
+  return { ...note, ...secret };
+}
+
+async function sealAttachment(attachment, key) {
+  const { blob, thumbnail, ...record } = attachment;
+  record.enc = await encryptBytes(key, await blob.arrayBuffer());
+  if (thumbnail) {
+    record.thumbnailEnc = await encryptBytes(key, await thumbnail.arrayBuffer());
+  }
+  return record;
+}
+
+// Collections keep their dates readable and encrypt their name and notes.
+async function sealCollection(collection, config, key) {
+  const { id, createdAt, updatedAt, ...secret } = collection;
+  const enc = await encryptBytes(key, new TextEncoder().encode(JSON.stringify(secret)));
+  return { id, createdAt, updatedAt, enc: { ...enc, keyId: config.salt } };
+}
+
+// Places hold nothing but a location, so they are encrypted only when
+// locations are.
+async function sealPlace(place, config, key) {
+  const { id, createdAt, ...secret } = place;
+  const enc = await encryptBytes(key, new TextEncoder().encode(JSON.stringify(secret)));
+  return { id, createdAt, enc: { ...enc, keyId: config.salt } };
+}
+
+async function openAttachment(record, key) {
+  const { enc, thumbnailEnc, ...attachment } = record;
+  attachment.blob = new Blob([await decryptBytes(key, enc)], { type: record.type });
+  attachment.thumbnail = thumbnailEnc
+    ? new Blob([await decryptBytes(key, thumbnailEnc)], { type: 'image/jpeg' })
+    : null;
+  return attachment;
+}
+
+// Prepare a note for storage, encrypting it when encryption is on.
+async function encodeNote(note) {
+  const config = readCryptoConfig();
+  return config ? sealNote(note, config, requireKey()) : note;
+}
+
+// Turn a stored record back into a note. Plain records pass through, which
+// keeps notes readable while a migration is under way.
+async function decodeNote(record) {
+  return record.enc ? openNote(record, requireKey()) : record;
+}
+
+function decodeNotes(records) {
+  return Promise.all(records.map(decodeNote));
+}
+
+async function encodePlace(place) {
+  return encryptsLocation() ? sealPlace(place, readCryptoConfig(), requireKey()) : place;
+}
+
+// Sealed places open like notes: the secret fields are merged back in.
+async function decodePlace(record) {
+  return record.enc ? openNote(record, requireKey()) : record;
+}
+
+async function encodeCollection(collection) {
+  return encryptionEnabled() ? sealCollection(collection, readCryptoConfig(), requireKey()) : collection;
+}
+
+// Sealed collections open like notes too.
+async function decodeCollection(record) {
+  return record.enc ? openNote(record, requireKey()) : record;
+}
+
+async function encodeAttachment(attachment) {
+  return encryptionEnabled() ? sealAttachment(attachment, requireKey()) : attachment;
+}
+
+async function decodeAttachment(record) {
+  return record.enc ? openAttachment(record, requireKey()) : record;
+}
+
+/**
+ * Rewrite every note, attachment, place and collection for a new encryption
+ * setup: decrypt with the current key, then encrypt with `key` under
+ * `config`, or store plain when `config` is null. All writes happen in one
+ * transaction.
+ */
+async function reencodeAll(config, key) {
+  const store = await storePromise;
+  const notes = await decodeNotes(await store.getAllNotes());
+  const attachments = await Promise.all((await store.getAllAttachments()).map(decodeAttachment));
+  const places = await Promise.all((await store.getPlaces()).map(decodePlace));
+  const collections = await Promise.all((await store.getCollections()).map(decodeCollection));
+  const noteRecords = await Promise.all(notes.map(n => {
+    const note = withGeohash(n);
+    return config ? sealNote(note, config, key) : note;
+  }));
+  const attachmentRecords = await Promise.all(attachments.map(a => (config ? sealAttachment(a, key) : a)));
+  const placeRecords = await Promise.all(places.map(p => (config && config.encryptLocation ? sealPlace(p, config, key) : p)));
+  const collectionRecords = await Promise.all(collections.map(c => (config ? sealCollection(c, config, key) : c)));
+  return store.putRecords({
+    notes: noteRecords,
+    attachments: attachmentRecords,
+    places: placeRecords,
+    collections: collectionRecords
+  });
+}
+
+async function createCryptoConfig(passphrase, encryptLocation) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const verifier = await encryptBytes(key, new TextEncoder().encode(VERIFIER_TEXT));
+  const config = {
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    encryptLocation: Boolean(encryptLocation),
+    verifier: { iv: toBase64(verifier.iv), data: toBase64(verifier.data) }
+  };
+  return { config, key };
+}
+
+// Derive the key for `passphrase` and check it against the stored verifier.
+async function keyForPassphrase(passphrase, config) {
+  const key = await deriveKey(passphrase, fromBase64(config.salt), config.iterations);
+  try {
+    await decryptBytes(key, { iv: fromBase64(config.verifier.iv), data: fromBase64(config.verifier.data) });
+  } catch (err) {
+    throw new Error('Wrong passphrase');
+  }
+  return key;
+}
+
+/**
+ * Turn encryption on and encrypt every stored note. The config is saved
+ * first: plain records stay readable, so an interrupted migration loses
+ * nothing and can be finished by changing the passphrase.
+ */
+async function enableEncryption(passphrase, { encryptLocation = false } = {}) {
+  const { config, key } = await createCryptoConfig(passphrase, encryptLocation);
+  writeCryptoConfig(config);
+  cryptoKey = key;
+  await reencodeAll(config, key);
+}
+
+/**
+ * Re-encrypt every record for `config`, or store them plain when it is null,
+ * and make it the current setup. The pending setup is saved before the
+ * rewrite so an interruption can be settled by settleCryptoChange().
+ */
+async function switchCryptoConfig(config, key) {
+  writePendingCryptoChange(config);
+  try {
+    await reencodeAll(config, key);
+  } catch (err) {
+    writePendingCryptoChange(undefined);
+    throw err;
+  }
+  try {
+    writeCryptoConfig(config);
+    writePendingCryptoChange(undefined);
+  } catch (err) {
+    // The records already use the new setup; lock until the next unlock
+    // settles the change.
+    cryptoKey = null;
+    throw err;
+  }
+  cryptoKey = key;
+}
+
+async function changePassphrase(current, next) {
+  const config = readCryptoConfig();
+  cryptoKey = await keyForPassphrase(current, config);
+  const created = await createCryptoConfig(next, config.encryptLocation);
+  await switchCryptoConfig(created.config, created.key);
+}
+
+async function disableEncryption(passphrase) {
+  cryptoKey = await keyForPassphrase(passphrase, readCryptoConfig());
+  await switchCryptoConfig(null, null);
+}
+
+/**
+ * Finish or undo a passphrase change cut short by a closed tab or a failed
+ * write. The rewrite is one transaction, so it happened exactly when no
+ * note, place or collection is still sealed under another key. Resolves
+ * with whether there was a change to settle.
+ */
+async function settleCryptoChange() {
+  const pending = readPendingCryptoChange();
+  if (!pending) {
+    return false;
+  }
+  const next = pending.config;
+  const store = await storePromise;
+  const records = [...await getNoteRecords(), ...await store.getPlaces(), ...await store.getCollections()];
+  if (records.every(r => !r.enc || (next && r.enc.keyId === next.salt))) {
+    writeCryptoConfig(next);
+  }
+  writePendingCryptoChange(undefined);
+  return true;
+}
+
+async function unlockNotes(passphrase) {
+  await settleCryptoChange();
+  const config = readCryptoConfig();
+  if (config) {
+    cryptoKey = await keyForPassphrase(passphrase, config);
+  }
+}
+
+// Sync
+// Optional sync with a server speaking the protocol of
+// server/sync-server.js. While a server URL is set, addNote and deleteNote
+// record the note id in the store's outbox along with the change. Pushing
+// sends each queued note as it is now, or a delete when it is gone. Pulling
+// fetches changes since the last cursor. Conflicts are settled by the later
+// `updatedAt` (`createdAt` for notes never edited), on the server and here.
+// Attachments stay on the device.
+const SYNC_STATE_KEY = 'place-notes-sync';
+const SYNC_DELAY = 2000;
+let syncTimer = null;
+let syncRunning = false;
+
+function syncEnabled() {
+  return Boolean(settingsStore.get('syncUrl'));
+}
+
+function noteVersion(note) {
+  return note.updatedAt || note.createdAt || '';
+}
+
+async function getOutbox() {
+  return (await storePromise).getOutbox();
+}
+
+// Drop an outbox entry unless the note changed again since it was read.
+async function removeFromOutbox(entry) {
+  return (await storePromise).removeFromOutbox(entry);
+}
+
+// Queue every stored note, used when sync is first switched on.
+async function queueAllNotes() {
+  const records = await getNoteRecords();
+  return (await storePromise).queueNotes(records.map(r => r.id));
+}
+
+/**
+ * Apply notes received from the server. A remote version replaces the local
+ * note only when it is at least as new; tombstones (`deleted: true`) delete
+ * the local note and its attachments. Versions already held here, such as
+ * notes this device just pushed coming back in the pull, are skipped.
+ * Nothing here is queued for pushing.
+ */
+async function applyRemoteNotes(remoteNotes) {
+  const changes = [];
+  for (const remote of remoteNotes) {
+    let record = null;
+    if (!remote.deleted) {
+      const local = await getNote(remote.id);
+      if (local && noteVersion(local) === noteVersion(remote)) {
+        continue;
+      }
+      // Only a remote note that will be kept joins a place, so stale ones
+      // don't leave empty places behind.
+      const note = local && !remoteWins(local, remote) ? remote : await attachToPlace(remote);
+      record = await encodeNote(withGeohash(note));
+    }
+    changes.push({ remote, record });
+  }
+  await (await storePromise).applyRemote(changes);
+  await dropUnusedPlaces();
+}
+
+function readSyncState(url) {
+  try {
+    const state = JSON.parse(localStorage.getItem(SYNC_STATE_KEY) || '{}');
+    return state.url === url ? state : { url, cursor: 0 };
+  } catch (err) {
+    console.error(err);
+    return { url, cursor: 0 };
+  }
+}
+
+function writeSyncState(state) {
+  try {
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function syncRequest(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' }
+  });
+  if (!res.ok && res.status !== 409) {
+    throw new Error(`Sync server responded ${res.status}`);
+  }
+  return { status: res.status, data: await res.json() };
+}
+
+async function pushOutbox(baseUrl) {
+  const entries = await getOutbox();
+  for (const entry of entries) {
+    const note = await getNote(entry.noteId);
+    const url = `${baseUrl}/notes/${encodeURIComponent(entry.noteId)}`;
+    // The geohash is rebuilt on arrival and places are local to each device.
+    const { geohash, placeId, ...record } = note || {};
+    const { status, data } = note
+      ? await syncRequest(url, { method: 'PUT', body: JSON.stringify(record) })
+      : await syncRequest(url, { method: 'DELETE', body: JSON.stringify({ deletedAt: entry.queuedAt }) });
+    if (status === 409) {
+      // The server holds a newer version; take it instead.
+      await applyRemoteNotes([data.note]);
+    }
+    await removeFromOutbox(entry);
+  }
+}
+
+async function pullChanges(baseUrl) {
+  const state = readSyncState(baseUrl);
+  const { data } = await syncRequest(`${baseUrl}/notes?since=${state.cursor}`);
+  await applyRemoteNotes(data.notes);
+  writeSyncState({ url: baseUrl, cursor: data.cursor });
+  return data.notes.length;
+}
+
+/**
+ * Push queued local changes, then pull remote ones. Failures leave the
+ * outbox in place so the next attempt picks up where this one stopped.
+ */
+async function syncNow() {
+  const baseUrl = settingsStore.get('syncUrl').replace(/\/+$/, '');
+  // Remote notes are encrypted as they are stored, which needs the key.
+  if (!baseUrl || syncRunning || isLocked()) {
+    return;
+  }
+  syncRunning = true;
+  syncStatus.textContent = 'Syncing...';
+  try {
+    await pushOutbox(baseUrl);
+    const pulled = await pullChanges(baseUrl);
+    syncStatus.textContent = `Synced at ${new Date().toLocaleTimeString()}`;
+    if (pulled) {
+      displayNotes();
+    }
+  } catch (err) {
+    console.error(err);
+    syncStatus.textContent = `Sync failed: ${err.message}`;
+  } finally {
+    syncRunning = false;
+  }
+}
+
+// Sync shortly after local changes so several edits go out together.
+function scheduleSync() {
+  if (!syncEnabled() || navigator.onLine === false) {
+    return;
+  }
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(syncNow, SYNC_DELAY);
+}
+
+window.addEventListener('online', syncNow);
+
+// Sharing
+// A note is shared as a link to the app carrying its title, body and
+// coordinates in a `#note=` fragment, as base64url encoded JSON. Browsers
+// never send the fragment to a server, so the note travels only in the link.
+const SHARE_PREFIX = '#note=';
+
+function toBase64Url(text) {
+  return toBase64(new TextEncoder().encode(text))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  return new TextDecoder().decode(fromBase64(text.replace(/-/g, '+').replace(/_/g, '/')));
+}
+
+function shareLink(note) {
+  const payload = { title: note.title, body: note.body || '', lat: note.lat, lon: note.lon };
+  return location.href.split('#')[0] + SHARE_PREFIX + toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Read a shared note from a URL fragment. Returns null when the fragment is
+ * not a shared note and throws when it is one but can't be read.
+ */
+function parseSharedNote(hash) {
+  if (!hash.startsWith(SHARE_PREFIX)) {
+    return null;
+  }
+  let note;
+  try {
+    note = JSON.parse(fromBase64Url(hash.slice(SHARE_PREFIX.length)));
+  } catch (err) {
+    throw new Error('This shared note link is damaged');
+  }
+  const problem = note && typeof note === 'object' ? validateImportedNote(note) : 'not a note';
+  if (problem) {
+    throw new Error(`This shared note link is invalid: ${problem}`);
+  }
+  return { title: note.title || 'Untitled', body: note.body || '', lat: note.lat, lon: note.lon };
+}
+
+// Share target
+// Other apps can share a title, text and link into the app (share_target in
+// the manifest). The service worker keeps what was shared in SHARE_CACHE and
+// opens the app with `?share-target`, which then fills in the note form.
+const SHARE_CACHE = 'place-notes-share';
+const SHARED_CONTENT_PATH = './shared-content';
+
+// Read and remove the content the service worker kept, or null if none.
+async function takeSharedContent() {
+  if (!('caches' in window)) {
+    return null;
+  }
+  const cache = await caches.open(SHARE_CACHE);
+  const url = new URL(SHARED_CONTENT_PATH, location.href).href;
+  const response = await cache.match(url);
+  if (!response) {
+    return null;
+  }
+  await cache.delete(url);
+  return response.json();
+}
+
+// Decimal coordinates such as "47.6062, -122.3321" inside longer text.
+const SHARED_COORDINATES = /-?\d{1,2}\.\d+,\s*-?\d{1,3}\.\d+/;
+
+/**
+ * The first position found in shared content, or null. The link is tried
+ * first, then the whole text, any decimal coordinates in it and each word of
+ * it, so a map link or coordinates pasted into a message are found.
+ */
+function findSharedLocation({ text = '', url = '' }) {
+  const [coordinates] = text.match(SHARED_COORDINATES) || [];
+  const candidates = [url, text, coordinates, ...text.split(/\s+/)].filter(Boolean);
+  for (const candidate of candidates) {
+    try {
+      const place = parseLocationInput(candidate);
+      if (place) {
+        return place;
+      }
+    } catch (err) {
+      // Not a position this app can read; try the next candidate.
+    }
+  }
+  return null;
+}
+
+// QR codes
+// A small QR Code encoder for showing share links on screen. It uses byte
+// mode and error correction level L, picks the smallest version that fits
+// and keeps the mask with the lowest penalty, following ISO/IEC 18004.
+//
+// The encoder, from QR_ECC_PER_BLOCK to qrPenalty(), is adapted from the QR
+// Code generator library by Project Nayuki
+// (https://www.nayuki.io/page/qr-code-generator-library), under this license:
+//
+//   Copyright (c) Project Nayuki. (MIT License)
+//
+//   Permission is hereby granted, free of charge, to any person obtaining a
+//   copy of this software and associated documentation files (the
+//   "Software"), to deal in the Software without restriction, including
+//   without limitation the rights to use, copy, modify, merge, publish,
+//   distribute, sublicense, and/or sell copies of the Software, and to
+//   permit persons to whom the Software is furnished to do so, subject to
+//   the following conditions:
+//   - The above copyright notice and this permission notice shall be
+//     included in all copies or substantial portions of the Software.
+//   - The Software is provided "as is", without warranty of any kind,
+//     express or implied, including but not limited to the warranties of
+//     merchantability, fitness for a particular purpose and noninfringement.
+//     In no event shall the authors or copyright holders be liable for any
+//     claim, damages or other liability, whether in an action of contract,
+//     tort or otherwise, arising from, out of or in connection with the
+//     Software or the use or other dealings in the Software.
+// Error correction codewords per block and number of blocks, by version.
+const QR_ECC_PER_BLOCK = [
+  0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28,
+  28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30
+];
+const QR_BLOCKS = [
+  0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8,
+  8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25
+];
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Modules available for data and error correction in a version.
+function qrRawModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function qrDataCapacity(version) {
+  return Math.floor(qrRawModules(version) / 8) - QR_ECC_PER_BLOCK[version] * QR_BLOCKS[version];
+}
+
+// Multiply in GF(2^8) modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// Generator polynomial of the given degree, leading coefficient omitted.
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+// Error correction codewords for `data`.
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  });
+  return result;
+}
+
+// Mode indicator, length and bytes, padded to the version's capacity.
+function qrDataCodewords(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  const capacity = qrDataCapacity(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+// Split data into blocks, add error correction and interleave the blocks.
+function qrInterleave(data, version) {
+  const numBlocks = QR_BLOCKS[version];
+  const eccLength = QR_ECC_PER_BLOCK[version];
+  const rawCodewords = Math.floor(qrRawModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(eccLength);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) {
+      block.push(0);
+    }
+    blocks.push(block.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks carry a placeholder where long blocks have data.
+      if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+function qrAlignmentPositions(version, size) {
+  if (version === 1) {
+    return [];
+  }
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < count; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+/**
+ * Encode text as a QR code. Returns the rows of the symbol, each an array of
+ * booleans where true is a dark module. Throws when the text is too long.
+ */
+function qrCode(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  while (4 + (version < 10 ? 8 : 16) + bytes.length * 8 > qrDataCapacity(version) * 8) {
+    if (++version > 40) {
+      throw new Error('Too long for a QR code');
+    }
+  }
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+          setFunction(x + dx, y + dy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  });
+  const align = qrAlignmentPositions(version, size);
+  align.forEach((y, i) => {
+    align.forEach((x, j) => {
+      const last = align.length - 1;
+      // Skip the three corners taken by finder patterns.
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  const drawFormat = mask => {
+    // Level L is 01 in the format bits.
+    const data = (1 << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) {
+      rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) {
+      setFunction(8, i, bit(i));
+    }
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      setFunction(14 - i, 8, bit(i));
+    }
+    for (let i = 0; i < 8; i++) {
+      setFunction(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      setFunction(8, size - 15 + i, bit(i));
+    }
+    setFunction(8, size - 8, true);
+  };
+  drawFormat(0);
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) {
+      rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  // Place codewords in the zigzag order, two columns at a time from the
+  // bottom right, skipping the vertical timing pattern.
+  const codewords = qrInterleave(qrDataCodewords(bytes, version), version);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  const applyMask = mask => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && QR_MASKS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+  let best = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < QR_MASKS.length; mask++) {
+    applyMask(mask);
+    drawFormat(mask);
+    const penalty = qrPenalty(modules);
+    if (penalty < bestPenalty) {
+      best = mask;
+      bestPenalty = penalty;
+    }
+    // Masks are XOR, so applying one again undoes it.
+    applyMask(mask);
+  }
+  applyMask(best);
+  drawFormat(best);
+  return modules;
+}
+
+// Score how hard a symbol is to scan: long runs, 2x2 blocks, patterns that
+// look like finders and an uneven balance of dark and light modules.
+function qrPenalty(modules) {
+  const size = modules.length;
+  const finderLike = [true, false, true, true, true, false, true];
+  let penalty = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+  lines.forEach(line => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) {
+          penalty += run - 2;
+        }
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 7 <= size; i++) {
+      if (finderLike.every((dark, k) => line[i + k] === dark)) {
+        const lightBefore = i >= 4 && line.slice(i - 4, i).every(dark => !dark);
+        const lightAfter = i + 11 <= size && line.slice(i + 7, i + 11).every(dark => !dark);
+        if (lightBefore || lightAfter) {
+          penalty += 40;
+        }
+      }
+    }
+  });
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      dark += modules[y][x] ? 1 : 0;
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+// Geocoding
+// Place search goes through a provider with a small interface:
+//   search(query, { limit }) -> Promise<[{ lat, lon, name }]>
+//   reverse(lat, lon) -> Promise<name or null>
+// Nominatim and Photon are built in and can point at a self-hosted server
+// or a local stand-in speaking the same API.
+const GEOCODE_LIMIT = 5;
+const GEOCODE_CACHE_KEY = 'place-notes-geocode-cache';
+const GEOCODE_CACHE_SIZE = 50;
+
+function createNominatimGeocoder(baseUrl = 'https://nominatim.openstreetmap.org') {
+  return {
+    async search(query, { limit = GEOCODE_LIMIT } = {}) {
+      const url = `${baseUrl}/search?format=json&limit=${limit}&q=${encodeURIComponent(query)}`;
+      const res = await fetch(url, {
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'PlaceNotes/1.0 (contact@example.com)'
+        }
+      });
+      const data = await res.json();
+      return data.map(place => ({
+        lat: parseFloat(place.lat),
+        lon: parseFloat(place.lon),
+        name: place.display_name
+      }));
+    },
+    async reverse(lat, lon) {
+      const url = `${baseUrl}/reverse?format=json&lat=${lat}&lon=${lon}`;
+      const res = await fetch(url, {
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'PlaceNotes/1.0 (contact@example.com)'
+        }
+      });
+      const data = await res.json();
+      // Nominatim answers places without an address with an error object.
+      return data.display_name || null;
+    }
+  };
+}
+
+// Photon returns GeoJSON features with the address split into properties.
+function photonName(props) {
+  const street = [props.street, props.housenumber].filter(Boolean).join(' ');
+  return [props.name, street, props.city, props.state, props.country]
+    .filter((part, i, parts) => part && parts.indexOf(part) === i)
+    .join(', ');
+}
+
+function createPhotonGeocoder(baseUrl = 'https://photon.komoot.io') {
+  return {
+    async search(query, { limit = GEOCODE_LIMIT } = {}) {
+      const url = `${baseUrl}/api/?limit=${limit}&q=${encodeURIComponent(query)}`;
+      const res = await fetch(url, { headers: { 'Accept': 'application/json' } });
+      const data = await res.json();
+      return data.features.map(f => ({
+        lat: f.geometry.coordinates[1],
+        lon: f.geometry.coordinates[0],
+        name: photonName(f.properties || {})
+      }));
+    },
+    async reverse(lat, lon) {
+      const url = `${baseUrl}/reverse?lat=${lat}&lon=${lon}`;
+      const res = await fetch(url, { headers: { 'Accept': 'application/json' } });
+      const data = await res.json();
+      const feature = data.features[0];
+      return feature ? photonName(feature.properties || {}) : null;
+    }
+  };
+}
+
+const GEOCODERS = {
+  nominatim: createNominatimGeocoder,
+  photon: createPhotonGeocoder
+};
+
+// Build the provider chosen in settings. An empty URL means the provider's
+// public server.
+function getGeocoder() {
+  const create = GEOCODERS[settingsStore.get('geocoder')] || GEOCODERS.nominatim;
+  const url = settingsStore.get('geocoderUrl').trim().replace(/\/+$/, '');
+  return url ? create(url) : create();
+}
+
+function geocodeCacheKey(query) {
+  return [settingsStore.get('geocoder'), settingsStore.get('geocoderUrl'), query.toLowerCase()].join('|');
+}
+
+function readGeocodeCacheEntries() {
+  try {
+    return JSON.parse(localStorage.getItem(GEOCODE_CACHE_KEY) || '[]');
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+}
+
+// Cached results for `query`, or undefined when it hasn't been searched.
+function readGeocodeCache(query) {
+  const key = geocodeCacheKey(query);
+  const entry = readGeocodeCacheEntries().find(e => e.key === key);
+  return entry && entry.results;
+}
+
+/**
+ * Remember results for `query`. The most recent GEOCODE_CACHE_SIZE searches
+ * are kept so repeating them works offline. Searches that found nothing are
+ * not kept: a server having a bad moment shouldn't hide a place for good.
+ */
+function writeGeocodeCache(query, results) {
+  if (!results.length) {
+    return;
+  }
+  const key = geocodeCacheKey(query);
+  const entries = readGeocodeCacheEntries().filter(e => e.key !== key);
+  entries.unshift({ key, results });
+  try {
+    localStorage.setItem(GEOCODE_CACHE_KEY, JSON.stringify(entries.slice(0, GEOCODE_CACHE_SIZE)));
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Location input
+// The place search box also takes positions it can read on the device:
+// decimal degrees, degrees with minutes and seconds, geo: URIs, Open
+// Location Codes (plus codes) and Google Maps or OpenStreetMap links. These
+// are selected directly, with no geocoding request.
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const COORDINATE_CHARS = /^[\s\d.,;°º'′’"″”:+\-NSEWnsew]+$/;
+
+function formatCoordinates(lat, lon) {
+  return `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+}
+
+function checkCoordinates(lat, lon) {
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw new Error('Latitude must be between -90 and 90');
+  }
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+    throw new Error('Longitude must be between -180 and 180');
+  }
+  return { lat, lon };
+}
+
+// Read one coordinate such as `-47.6`, `47°36'22"N` or `W 122 19.9`.
+function parseCoordinatePart(text) {
+  let rest = text.trim().toUpperCase();
+  let hemisphere = null;
+  const letters = rest.match(/[NSEW]/g) || [];
+  if (letters.length > 1) {
+    throw new Error(`"${text.trim()}" has more than one compass direction`);
+  }
+  if (letters.length) {
+    hemisphere = letters[0];
+    if (!/^[NSEW]|[NSEW]$/.test(rest)) {
+      throw new Error(`Put the compass direction at the start or end of "${text.trim()}"`);
+    }
+    rest = rest.replace(/[NSEW]/, '').trim();
+  }
+  const negative = rest.startsWith('-');
+  rest = rest.replace(/^[+-]/, '');
+  const numbers = (rest.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+  if (!numbers.length || numbers.length > 3 || /[+-]/.test(rest)) {
+    throw new Error(`"${text.trim()}" is not a coordinate`);
+  }
+  const [degrees, minutes = 0, seconds = 0] = numbers;
+  if ((numbers.length > 1 && !Number.isInteger(degrees)) || (numbers.length > 2 && !Number.isInteger(minutes))) {
+    throw new Error(`Only the last part of "${text.trim()}" can have decimals`);
+  }
+  if (minutes >= 60 || seconds >= 60) {
+    throw new Error('Minutes and seconds must be less than 60');
+  }
+  if (negative && hemisphere) {
+    throw new Error(`Use a minus sign or a compass direction in "${text.trim()}", not both`);
+  }
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return { value: negative || hemisphere === 'S' || hemisphere === 'W' ? -value : value, hemisphere };
+}
+
+// Split a pair of coordinates on a comma, semicolon, compass direction or
+// whitespace. Returns null when there aren't two parts.
+function splitCoordinatePair(text) {
+  const trimmed = text.trim();
+  const separated = trimmed.split(/\s*[,;]\s*/);
+  if (separated.length === 2) {
+    return separated;
+  }
+  if (separated.length > 2) {
+    return null;
+  }
+  // With a direction on each coordinate, split after the first one, or
+  // before the second when they are written first ("N47.6 W122.3").
+  if ((trimmed.match(/[NSEW]/gi) || []).length === 2) {
+    const index = /^[NSEW]/i.test(trimmed)
+      ? trimmed.search(/(?!^)[NSEW]/i)
+      : trimmed.search(/[NSEW]/i) + 1;
+    return [trimmed.slice(0, index), trimmed.slice(index)];
+  }
+  // Plain numbers: "47.6 -122.3" or "47 36 22 122 19 56".
+  const tokens = trimmed.split(/\s+/);
+  if (tokens.length % 2 === 0 && tokens.length <= 6) {
+    return [tokens.slice(0, tokens.length / 2).join(' '), tokens.slice(tokens.length / 2).join(' ')];
+  }
+  return null;
+}
+
+/**
+ * Parse a latitude and longitude written as text. Returns null when the text
+ * is not a coordinate pair and throws when it is one but out of range.
+ */
+function parseCoordinates(text) {
+  if (!COORDINATE_CHARS.test(text) || !/\d/.test(text)) {
+    return null;
+  }
+  const pair = splitCoordinatePair(text);
+  if (!pair) {
+    // A lone number may be a postcode and "5 E 42" an address; a degree sign
+    // or a direction written onto a number means a coordinate was meant.
+    if (/[°º'′’"″”]|\d[NSEWnsew]|[NSEWnsew]\d/.test(text)) {
+      throw new Error('Enter both a latitude and a longitude');
+    }
+    return null;
+  }
+  // "1600 W" is a house number and a street direction, not a position.
+  if (!pair.every(part => /\d/.test(part))) {
+    return null;
+  }
+  let [first, second] = pair.map(parseCoordinatePart);
+  // "122.3W 47.6N" lists longitude first.
+  if ('EW'.includes(first.hemisphere || '-') && 'NS'.includes(second.hemisphere || '-')) {
+    [first, second] = [second, first];
+  }
+  if ('EW'.includes(first.hemisphere || '-') || 'NS'.includes(second.hemisphere || '-')) {
+    throw new Error('Use N or S for latitude and E or W for longitude');
+  }
+  return checkCoordinates(first.value, second.value);
+}
+
+// Open Location Code digits to the corners of the area they describe.
+function decodeOlcDigits(digits) {
+  let lat = -90;
+  let lon = -180;
+  let latSize = 400;
+  let lonSize = 400;
+  for (let i = 0; i < digits.length; i++) {
+    const value = OLC_ALPHABET.indexOf(digits[i]);
+    if (i < 10) {
+      if (i % 2 === 0) {
+        latSize /= 20;
+        lat += value * latSize;
+      } else {
+        lonSize /= 20;
+        lon += value * lonSize;
+      }
+    } else {
+      // Beyond ten digits each one splits the area into a 4x5 grid.
+      latSize /= 5;
+      lonSize /= 4;
+      lat += Math.floor(value / 4) * latSize;
+      lon += (value % 4) * lonSize;
+    }
+  }
+  return { lat, lon, latSize, lonSize };
+}
+
+// The first `length` digits of the plus code for a position.
+function encodeOlcPrefix(lat, lon, length) {
+  let latRest = Math.min(Math.max(lat, -90), 90 - 1e-10) + 90;
+  let lonRest = ((lon + 180) % 360 + 360) % 360;
+  let size = 20;
+  let code = '';
+  for (let i = 0; i < length / 2; i++) {
+    const latDigit = Math.floor(latRest / size);
+    const lonDigit = Math.floor(lonRest / size);
+    code += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lonDigit];
+    latRest -= latDigit * size;
+    lonRest -= lonDigit * size;
+    size /= 20;
+  }
+  return code;
+}
+
+/**
+ * Decode a plus code to the centre of its area. Short codes such as
+ * "JM6C+QV" are completed with the nearest match to `reference`, the
+ * device's position, as the Open Location Code spec recommends. Returns null
+ * when the text is not a plus code.
+ */
+function parsePlusCode(text, reference) {
+  const match = text.trim().toUpperCase().match(/^([23456789CFGHJMPQRVWX0]{2,8})\+([23456789CFGHJMPQRVWX]*)(\s+.*)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, before, after] = match;
+  if (before.length % 2 !== 0 || after.length === 1 || /0[^0]/.test(before) || (before.includes('0') && after)) {
+    throw new Error('Not a valid plus code');
+  }
+  const prefix = before.replace(/0+$/, '');
+  if (before.length < 8) {
+    if (!reference) {
+      throw new Error('Short plus codes need your location. Get location first or enter the full code');
+    }
+    const missing = 8 - before.length;
+    const resolution = Math.pow(20, 2 - missing / 2);
+    const area = decodeOlcDigits(encodeOlcPrefix(reference.lat, reference.lon, missing) + prefix + after);
+    let lat = area.lat + area.latSize / 2;
+    let lon = area.lon + area.lonSize / 2;
+    // Move to the neighbouring cell when that is closer to the reference.
+    if (lat - reference.lat > resolution / 2 && lat - resolution >= -90) {
+      lat -= resolution;
+    } else if (reference.lat - lat > resolution / 2 && lat + resolution <= 90) {
+      lat += resolution;
+    }
+    if (lon - reference.lon > resolution / 2) {
+      lon -= resolution;
+    } else if (reference.lon - lon > resolution / 2) {
+      lon += resolution;
+    }
+    return checkCoordinates(lat, ((lon + 180) % 360 + 360) % 360 - 180);
+  }
+  if (OLC_ALPHABET.indexOf(before[0]) > 8 || OLC_ALPHABET.indexOf(before[1]) > 17) {
+    throw new Error('Not a valid plus code');
+  }
+  const area = decodeOlcDigits(prefix + after);
+  return checkCoordinates(
+    Math.min(area.lat + area.latSize / 2, 90),
+    Math.min(area.lon + area.lonSize / 2, 180)
+  );
+}
+
+// geo:47.6,-122.3;u=10 and the common ?q=47.6,-122.3(Label) extension.
+function parseGeoUri(text) {
+  const uri = text.trim();
+  const [path, query = ''] = uri.slice(4).split('?');
+  const params = new URLSearchParams(query);
+  const q = params.get('q');
+  if (q) {
+    const labelled = q.match(/^([^(]*)(?:\((.*)\))?$/);
+    const coords = parseCoordinates(labelled[1]);
+    if (coords) {
+      return labelled[2] ? { ...coords, name: labelled[2].trim() } : coords;
+    }
+  }
+  const coords = parseCoordinates(decodeURIComponent(path.split(';')[0]).split(',').slice(0, 2).join(','));
+  if (!coords) {
+    throw new Error('This geo: link has no coordinates');
+  }
+  return coords;
+}
+
+// Coordinates from a Google Maps or OpenStreetMap link. Marked places are
+// preferred to the map view's centre.
+function parseMapLink(url) {
+  const host = url.hostname.replace(/^www\./, '');
+  const params = url.searchParams;
+  const candidates = [];
+  if (/(^|\.)google\.[a-z.]+$/.test(host) && (url.pathname.startsWith('/maps') || host.startsWith('maps.'))) {
+    const place = url.href.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+    if (place) {
+      candidates.push(`${place[1]},${place[2]}`);
+    }
+    ['q', 'query', 'll', 'destination', 'daddr', 'center'].forEach(name => {
+      if (params.get(name)) {
+        candidates.push(params.get(name));
+      }
+    });
+    const view = url.pathname.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+    if (view) {
+      candidates.push(`${view[1]},${view[2]}`);
+    }
+  } else if (/(^|\.)(openstreetmap\.org|osm\.org)$/.test(host)) {
+    if (params.get('mlat') && params.get('mlon')) {
+      candidates.push(`${params.get('mlat')},${params.get('mlon')}`);
+    }
+    const view = url.hash.match(/map=\d+(?:\.\d+)?\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/);
+    if (view) {
+      candidates.push(`${view[1]},${view[2]}`);
+    }
+  } else {
+    throw new Error('Only Google Maps and OpenStreetMap links can be read');
+  }
+  for (const candidate of candidates) {
+    const coords = parseCoordinates(candidate);
+    if (coords) {
+      return coords;
+    }
+  }
+  throw new Error('This map link has no coordinates');
+}
+
+/**
+ * Read a position typed or pasted into the place search box. Resolves to
+ * `{ lat, lon, name? }`, to null when the text should go to the geocoder,
+ * or throws an Error whose message explains what is wrong.
+ */
+function parseLocationInput(text, { reference } = {}) {
+  const input = text.trim();
+  if (/^geo:/i.test(input)) {
+    return parseGeoUri(input);
+  }
+  if (/^https?:\/\//i.test(input)) {
+    let url;
+    try {
+      url = new URL(input);
+    } catch (err) {
+      throw new Error('This link is not a valid URL');
+    }
+    return parseMapLink(url);
+  }
+  return parsePlusCode(input, reference) || parseCoordinates(input);
+}
+
+// Place names
+// Notes record a readable place name. A name from a place search is used
+// directly; otherwise the note is saved with `placeNamePending` and the name
+// is looked up by reverse geocoding. Pending lookups are retried when the
+// app loads or comes back online, so notes saved offline are filled in later.
+// Lookups run one at a time, a second apart, to respect public servers.
+const PLACE_NAME_LOOKUP_DELAY = 1000;
+let placeNameQueueRunning = false;
+
+async function resolvePendingPlaceNames() {
+  if (placeNameQueueRunning || navigator.onLine === false || isLocked()) {
+    return;
+  }
+  placeNameQueueRunning = true;
+  try {
+    const pending = (await getAllNotes()).filter(n => n.placeNamePending);
+    const geocoder = getGeocoder();
+    for (let i = 0; i < pending.length; i++) {
+      if (i > 0) {
+        await new Promise(resolve => setTimeout(resolve, PLACE_NAME_LOOKUP_DELAY));
+      }
+      const note = pending[i];
+      // Network errors leave the note queued for the next attempt.
+      const name = await geocoder.reverse(note.lat, note.lon);
+      // The note may have been edited, trashed or synced during the lookup.
+      // A changed note keeps its pending flag and is looked up again later.
+      const latest = await getNote(note.id);
+      if (!latest || latest.trashedAt || latest.updatedAt !== note.updatedAt || !latest.placeNamePending) {
+        continue;
+      }
+      const { placeNamePending, ...resolved } = latest;
+      if (name) {
+        resolved.placeName = name;
+      }
+      await addNote(resolved);
+    }
+    if (pending.length) {
+      displayNotes();
+    }
+  } catch (err) {
+    console.error(err);
+  } finally {
+    placeNameQueueRunning = false;
+  }
+}
+
+// The first two parts of an address are usually enough to recognise it.
+function shortPlaceName(name) {
+  return name.split(',').slice(0, 2).map(part => part.trim()).join(', ');
+}
+
+window.addEventListener('online', resolvePendingPlaceNames);
+
+// UI and geolocation
+/**
+ * Singleton store tracking user location.
+ *
+ * "current" holds the last geolocation retrieved from the device.
+ * "selected" holds the coordinates where a new note will be saved,
+ * which may come from the current position or a remote place search.
+ * Searching only updates "selected" while the geolocation button sets
+ * both values to the device's location.
+ */
+const locationStore = (() => {
+  let currentPosition;
+  let selectedPosition;
+  return {
+    getCurrent: () => currentPosition,
+    setCurrent: pos => { currentPosition = pos; },
+    getSelected: () => selectedPosition,
+    setSelected: pos => { selectedPosition = pos; }
+  };
+})();
+// Expose for tests to inspect or mock current/selected coordinates.
+// Production code should not read or modify this global directly.
+window.locationStore = locationStore;
+
+/**
+ * Singleton store for user preferences, persisted in localStorage so they
+ * survive between sessions. Storage errors (for example in some private
+ * browsing modes) leave the defaults in place for this session.
+ */
+const SETTINGS_KEY = 'place-notes-settings';
+const DEFAULT_SETTINGS = {
+  radius: 100,
+  sort: 'distance',
+  units: 'metric',
+  alertRadius: 50,
+  geocoder: 'nominatim',
+  geocoderUrl: '',
+  syncUrl: '',
+  lockMinutes: 5,
+  trashDays: 30,
+  accuracyThreshold: 50
+};
+const settingsStore = (() => {
+  let settings = { ...DEFAULT_SETTINGS };
+  try {
+    settings = { ...settings, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch (err) {
+    console.error(err);
+  }
+  return {
+    get: key => settings[key],
+    set(key, value) {
+      settings = { ...settings, [key]: value };
+      try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+      } catch (err) {
+        console.error(err);
+      }
+    }
+  };
+})();
+window.settingsStore = settingsStore;
+
+// Radius choices for the nearby list, in metres. The next larger step is
+// used to count notes lying just outside the current radius.
+const RADIUS_STEPS = [25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+function nextRadius(radius) {
+  return RADIUS_STEPS.find(step => step > radius);
+}
+
+/**
+ * Format a distance in metres for display in the chosen unit system.
+ */
+function formatDistance(metres, units = settingsStore.get('units')) {
+  if (units === 'imperial') {
+    const feet = metres * 3.28084;
+    if (feet < 1000) {
+      return `${Math.round(feet)} ft`;
+    }
+    const miles = metres / 1609.344;
+    return `${miles.toFixed(miles < 10 ? 1 : 0)} mi`;
+  }
+  if (metres < 1000) {
+    return `${Math.round(metres)} m`;
+  }
+  const km = metres / 1000;
+  return `${km.toFixed(km < 10 ? 1 : 0)} km`;
+}
+
+const SORTERS = {
+  distance: (a, b) => a.distance - b.distance,
+  newest: (a, b) => String(b.note.createdAt).localeCompare(String(a.note.createdAt)),
+  oldest: (a, b) => String(a.note.createdAt).localeCompare(String(b.note.createdAt)),
+  title: (a, b) => a.note.title.localeCompare(b.note.title)
+};
+
+// Sort notes for the nearby list, returning `{ note, distance }` pairs.
+function sortNearby(notes, lat, lon, sort) {
+  return notes
+    .map(note => ({ note, distance: distance(lat, lon, note.lat, note.lon) }))
+    .sort(SORTERS[sort] || SORTERS.distance);
+}
+const locBtn = document.getElementById('locBtn');
+const notesList = document.getElementById('notesList');
+const addNoteBtn = document.getElementById('addNoteBtn');
+const noteForm = document.getElementById('noteForm');
+const cancelNoteBtn = document.getElementById('cancelNoteBtn');
+const searchForm = document.getElementById('searchForm');
+const searchQuery = document.getElementById('searchQuery');
+const searchResult = document.getElementById('searchResult');
+const searchCandidates = document.getElementById('searchCandidates');
+const geocoderSelect = document.getElementById('geocoderSelect');
+const geocoderUrl = document.getElementById('geocoderUrl');
+const saveNoteBtn = document.getElementById('saveNoteBtn');
+const walkBtn = document.getElementById('walkBtn');
+const walkRadius = document.getElementById('walkRadius');
+const proximityAlert = document.getElementById('proximityAlert');
+const proximityAlertText = document.getElementById('proximityAlertText');
+const proximityAlertDismiss = document.getElementById('proximityAlertDismiss');
+const radiusSelect = document.getElementById('radiusSelect');
+const sortSelect = document.getElementById('sortSelect');
+const unitsSelect = document.getElementById('unitsSelect');
+const trashDaysSelect = document.getElementById('trashDaysSelect');
+const accuracyThresholdSelect = document.getElementById('accuracyThresholdSelect');
+const accuracyInfo = document.getElementById('accuracyInfo');
+const accuracyText = document.getElementById('accuracyText');
+const refineBtn = document.getElementById('refineBtn');
+const trashView = document.getElementById('trashView');
+const trashList = document.getElementById('trashList');
+const collectionsView = document.getElementById('collectionsView');
+const collectionsList = document.getElementById('collectionsList');
+const collectionView = document.getElementById('collectionView');
+const collectionNotesList = document.getElementById('collectionNotes');
+const noteCollectionSelect = document.getElementById('noteCollection');
+const undoToast = document.getElementById('undoToast');
+const undoToastText = document.getElementById('undoToastText');
+const sharePanel = document.getElementById('sharePanel');
+const shareLinkInput = document.getElementById('shareLink');
+const shareQr = document.getElementById('shareQr');
+const shareStatus = document.getElementById('shareStatus');
+const shareNativeBtn = document.getElementById('shareNativeBtn');
+const sharedNotePreview = document.getElementById('sharedNote');
+const sharedNoteError = document.getElementById('sharedNoteError');
+const radiusHint = document.getElementById('radiusHint');
+const listViewBtn = document.getElementById('listViewBtn');
+const mapViewBtn = document.getElementById('mapViewBtn');
+const mapView = document.getElementById('mapView');
+const notesMap = document.getElementById('notesMap');
+const mapStatus = document.getElementById('mapStatus');
+const mapNote = document.getElementById('mapNote');
+const exportBtn = document.getElementById('exportBtn');
+const exportFormat = document.getElementById('exportFormat');
+const importFile = document.getElementById('importFile');
+const importStatus = document.getElementById('importStatus');
+const attachmentsInput = document.getElementById('attachmentsInput');
+const recordAudioBtn = document.getElementById('recordAudioBtn');
+const pendingAttachmentsList = document.getElementById('pendingAttachments');
+const storageInfo = document.getElementById('storageInfo');
+const syncUrlInput = document.getElementById('syncUrl');
+const syncNowBtn = document.getElementById('syncNowBtn');
+const syncStatus = document.getElementById('syncStatus');
+const lockScreen = document.getElementById('lockScreen');
+const unlockPassphrase = document.getElementById('unlockPassphrase');
+const unlockError = document.getElementById('unlockError');
+const encryptionOff = document.getElementById('encryptionOff');
+const encryptionOn = document.getElementById('encryptionOn');
+const encryptionStatus = document.getElementById('encryptionStatus');
+const lockMinutesSelect = document.getElementById('lockMinutes');
+const guideView = document.getElementById('guideView');
+const guideTitle = document.getElementById('guideTitle');
+const guideArrow = document.getElementById('guideArrow');
+const guideDistance = document.getElementById('guideDistance');
+const guideDirection = document.getElementById('guideDirection');
+// Files picked or recorded in noteForm, saved when the form is submitted.
+let pendingAttachments = [];
+// Object URLs handed to attachment previews, revoked when the list redraws.
+let attachmentUrls = [];
+let audioRecorder = null;
+const noteSearchForm = document.getElementById('noteSearchForm');
+const noteSearchQuery = document.getElementById('noteSearchQuery');
+const noteSearchSort = document.getElementById('noteSearchSort');
+const noteSearchResults = document.getElementById('noteSearchResults');
+const tagsInput = document.getElementById('tags');
+const bodyInput = document.getElementById('body');
+const bodyPreview = document.getElementById('bodyPreview');
+const dueDateInput = document.getElementById('dueDate');
+const expiryDateInput = document.getElementById('expiryDate');
+const remindNearInput = document.getElementById('remindNear');
+const tagSuggestions = document.getElementById('tagSuggestions');
+const tagFilter = document.getElementById('tagFilter');
+const tagBrowse = document.getElementById('tagBrowse');
+const tagBrowseTitle = document.getElementById('tagBrowseTitle');
+const tagBrowseList = document.getElementById('tagBrowseList');
+// Tags chosen in the filter bar; nearby notes must carry all of them.
+const activeTagFilters = new Set();
+// Tags already in use, offered as autocomplete suggestions.
+let knownTags = [];
+let lastSearchTime = 0;
+// Note currently loaded into noteForm for editing, or null when the form
+// creates a new note.
+let editingNote = null;
+
+function fetchLocation() {
+  if (!navigator.geolocation) {
+    alert('Geolocation not supported');
+    return;
+  }
+  const originalText = locBtn.textContent;
+  locBtn.disabled = true;
+  locBtn.textContent = 'Getting location...';
+
+  notesList.innerHTML = '';
+  const li = document.createElement('li');
+  li.textContent = 'Getting location...';
+  notesList.appendChild(li);
+
+  navigator.geolocation.getCurrentPosition(
+    pos => {
+      // Geolocation updates both current and selected positions to the
+      // device's coordinates.
+      locationStore.setCurrent(pos);
+      locationStore.setSelected(pos);
+
+      logPosition(pos);
+      renderAccuracyInfo();
+      locBtn.disabled = false;
+      locBtn.textContent = originalText;
+    },
+    () => {
+      alert('Unable to retrieve location');
+      locBtn.disabled = false;
+      locBtn.textContent = originalText;
+      notesList.innerHTML = '';
+      const li = document.createElement('li');
+      li.textContent = 'Unable to retrieve location';
+      notesList.appendChild(li);
+    }
+  );
+}
+
+/**
+ * Leave edit mode so the next submit creates a new note again.
+ */
+function resetEditing() {
+  editingNote = null;
+  saveNoteBtn.textContent = 'Add note';
+}
+
+// Show the body being typed as it will look in the list.
+function renderBodyPreview() {
+  bodyPreview.textContent = '';
+  bodyPreview.appendChild(renderMarkdown(bodyInput.value));
+  bodyPreview.hidden = !bodyInput.value.trim();
+}
+
+bodyInput.addEventListener('input', renderBodyPreview);
+// Reset runs before the fields are cleared, so redraw afterwards.
+noteForm.addEventListener('reset', () => setTimeout(renderBodyPreview));
+
+/**
+ * Open noteForm prefilled with an existing note. Submitting the form then
+ * updates that note in place, keeping its id, coordinates and createdAt.
+ */
+function openEditForm(note) {
+  editingNote = note;
+  document.getElementById('title').value = note.title;
+  document.getElementById('body').value = note.body;
+  renderBodyPreview();
+  tagsInput.value = (note.tags || []).join(', ');
+  dueDateInput.value = note.dueDate || '';
+  expiryDateInput.value = note.expiryDate || '';
+  remindNearInput.checked = Boolean(note.remindNear);
+  saveNoteBtn.textContent = 'Save note';
+  searchResult.textContent = '';
+  noteForm.style.display = 'block';
+  renderAccuracyInfo();
+}
+
+addNoteBtn.addEventListener('click', () => {
+  const isOpen = noteForm.style.display === 'block';
+  noteForm.style.display = isOpen ? 'none' : 'block';
+  if (editingNote) {
+    // The "+" button always starts a fresh note.
+    noteForm.reset();
+    resetEditing();
+  }
+  if (isOpen) {
+    // Closing the form clears any previous search details.
+    searchResult.textContent = '';
+  } else if (!locationStore.getCurrent()) {
+    fetchLocation();
+  }
+  renderAccuracyInfo();
+});
+
+cancelNoteBtn.addEventListener('click', () => {
+  noteForm.reset();
+  clearPendingAttachments();
+  noteForm.style.display = 'none';
+  searchResult.textContent = '';
+  resetEditing();
+});
+
+/**
+ * Make a geocoding result the "selected" location so a note can be created
+ * for that place even if the user is elsewhere.
+ */
+function selectPlace(place) {
+  locationStore.setSelected({
+    coords: {
+      latitude: place.lat,
+      longitude: place.lon
+    },
+    placeName: place.name
+  });
+  searchCandidates.innerHTML = '';
+  searchResult.textContent = place.name || formatCoordinates(place.lat, place.lon);
+  noteForm.style.display = 'block';
+  renderAccuracyInfo();
+}
+
+// List several matches so the user can pick the right one.
+function showCandidates(places) {
+  searchCandidates.innerHTML = '';
+  searchResult.textContent = 'Choose a place:';
+  places.forEach(place => {
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = place.name;
+    btn.addEventListener('click', () => selectPlace(place));
+    li.appendChild(btn);
+    searchCandidates.appendChild(li);
+  });
+}
+
+/**
+ * Handle remote place lookups. A single match is selected straight away;
+ * several matches are listed to choose from. Repeat searches are answered
+ * from the cache without a network request.
+ */
+searchForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const query = searchQuery.value.trim();
+  if (!query) {
+    return;
+  }
+  searchCandidates.innerHTML = '';
+  // Coordinates, plus codes and map links are read here without a request.
+  const current = locationStore.getCurrent();
+  try {
+    const place = parseLocationInput(query, {
+      reference: current && { lat: current.coords.latitude, lon: current.coords.longitude }
+    });
+    if (place) {
+      selectPlace(place);
+      return;
+    }
+  } catch (err) {
+    searchResult.textContent = err.message;
+    return;
+  }
+  let places = readGeocodeCache(query);
+  if (!places) {
+    const now = Date.now();
+    if (now - lastSearchTime < 1000) {
+      alert('Please wait before searching again.');
+      return;
+    }
+    lastSearchTime = now;
+    searchResult.textContent = 'Searching...';
+    try {
+      places = await getGeocoder().search(query, { limit: GEOCODE_LIMIT });
+    } catch (err) {
+      console.error(err);
+      searchResult.textContent = 'Search failed';
+      return;
+    }
+    writeGeocodeCache(query, places);
+  }
+  if (!places.length) {
+    searchResult.textContent = 'No results';
+    return;
+  }
+  if (places.length === 1) {
+    selectPlace(places[0]);
+  } else {
+    showCandidates(places);
+  }
+});
+
+syncUrlInput.value = settingsStore.get('syncUrl');
+syncUrlInput.addEventListener('change', async () => {
+  const url = syncUrlInput.value.trim();
+  const wasEnabled = syncEnabled();
+  settingsStore.set('syncUrl', url);
+  if (!url) {
+    syncStatus.textContent = 'Sync off';
+    return;
+  }
+  if (!wasEnabled) {
+    // Upload notes written while sync was off.
+    await queueAllNotes();
+  }
+  syncNow();
+});
+syncNowBtn.addEventListener('click', syncNow);
+
+geocoderSelect.value = settingsStore.get('geocoder');
+geocoderUrl.value = settingsStore.get('geocoderUrl');
+geocoderSelect.addEventListener('change', () => {
+  settingsStore.set('geocoder', geocoderSelect.value);
+});
+geocoderUrl.addEventListener('change', () => {
+  settingsStore.set('geocoderUrl', geocoderUrl.value.trim());
+});
+
+function logPosition(pos) {
+  const { latitude, longitude, accuracy } = pos.coords;
+  const timestamp = pos.timestamp;
+  console.log('Position:', { lat: latitude, lon: longitude, accuracy, timestamp });
+  displayNotes();
+  checkReminders(pos).catch(err => console.error(err));
+}
+
+// Location accuracy
+// Notes keep the accuracy and altitude of the fix they were taken with.
+// "Refine" gathers several fixes and averages them, and a fix less accurate
+// than the accuracyThreshold setting suggests refining it or dragging the
+// pin on the map to the right spot.
+const REFINE_SAMPLES = 5;
+const REFINE_TIMEOUT = 20000;
+
+/**
+ * Average several fixes into one position, weighting each by the inverse of
+ * its variance so precise fixes count for more. Consecutive fixes share most
+ * of their error, so the result keeps the accuracy of the best fix rather
+ * than claiming a statistically smaller one.
+ */
+function averageFixes(fixes) {
+  const weights = fixes.map(f => 1 / Math.max(f.coords.accuracy, 1) ** 2);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const mean = key => fixes.reduce((sum, f, i) => sum + f.coords[key] * weights[i], 0) / total;
+  const altitudes = fixes.map(f => f.coords.altitude).filter(Number.isFinite);
+  return {
+    coords: {
+      latitude: mean('latitude'),
+      longitude: mean('longitude'),
+      accuracy: Math.min(...fixes.map(f => f.coords.accuracy)),
+      altitude: altitudes.length ? altitudes.reduce((sum, a) => sum + a, 0) / altitudes.length : null
+    },
+    timestamp: Math.max(...fixes.map(f => f.timestamp || 0))
+  };
+}
+
+/**
+ * Collect up to `samples` high accuracy fixes, or as many as arrive within
+ * `timeout` ms, and resolve with their average. `onFix` is called with the
+ * number of fixes so far.
+ */
+function refineLocation({ samples = REFINE_SAMPLES, timeout = REFINE_TIMEOUT, onFix = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const fixes = [];
+    let watchId = null;
+    let timer = null;
+    let done = false;
+    const finish = err => {
+      if (done) {
+        return;
+      }
+      done = true;
+      clearTimeout(timer);
+      navigator.geolocation.clearWatch(watchId);
+      if (fixes.length) {
+        resolve(averageFixes(fixes));
+      } else {
+        reject(err || new Error('No location fix received'));
+      }
+    };
+    timer = setTimeout(finish, timeout);
+    watchId = navigator.geolocation.watchPosition(
+      pos => {
+        fixes.push(pos);
+        onFix(fixes.length);
+        if (fixes.length >= samples) {
+          finish();
+        }
+      },
+      err => finish(err),
+      { enableHighAccuracy: true, maximumAge: 0 }
+    );
+    // A fix delivered synchronously may already have filled the samples.
+    if (done) {
+      navigator.geolocation.clearWatch(watchId);
+    }
+  });
+}
+
+// Describe the selected position's accuracy under the note form.
+function renderAccuracyInfo() {
+  const selected = locationStore.getSelected();
+  const accuracy = selected && selected.coords.accuracy;
+  if (editingNote || !selected || (!Number.isFinite(accuracy) && !selected.adjusted)) {
+    accuracyInfo.hidden = true;
+    return;
+  }
+  accuracyInfo.hidden = false;
+  const poor = Number.isFinite(accuracy) && accuracy > settingsStore.get('accuracyThreshold');
+  accuracyInfo.classList.toggle('poor-accuracy', poor);
+  if (selected.adjusted) {
+    accuracyText.textContent = 'Position adjusted on the map';
+  } else if (poor) {
+    accuracyText.textContent = `Only accurate to ±${formatDistance(accuracy)}. Refine the fix or adjust it on the map.`;
+  } else {
+    accuracyText.textContent = `Accurate to ±${formatDistance(accuracy)}`;
+  }
+}
+
+refineBtn.addEventListener('click', async () => {
+  if (!navigator.geolocation) {
+    alert('Geolocation not supported');
+    return;
+  }
+  refineBtn.disabled = true;
+  refineBtn.textContent = 'Refining...';
+  try {
+    const pos = await refineLocation({
+      onFix: count => { refineBtn.textContent = `Refining (${count}/${REFINE_SAMPLES})...`; }
+    });
+    locationStore.setCurrent(pos);
+    locationStore.setSelected(pos);
+    logPosition(pos);
+  } catch (err) {
+    console.error(err);
+    alert('Unable to refine location');
+  } finally {
+    refineBtn.disabled = false;
+    refineBtn.textContent = 'Refine';
+    renderAccuracyInfo();
+  }
+});
+
+// Open the map on the selected position, zoomed to show its accuracy circle,
+// so the pin can be dragged to the right spot.
+document.getElementById('adjustBtn').addEventListener('click', () => {
+  const selected = locationStore.getSelected();
+  if (!selected) {
+    return;
+  }
+  const { latitude, longitude, accuracy } = selected.coords;
+  mapState.center = { lat: latitude, lon: longitude };
+  if (Number.isFinite(accuracy)) {
+    mapState.scale = Math.min(MAP_MAX_SCALE, Math.max(1, accuracy * 3 / MAP_SIZE));
+  }
+  showView('map');
+  mapStatus.textContent = 'Drag the red pin to where the note belongs';
+});
+
+accuracyThresholdSelect.addEventListener('change', () => {
+  settingsStore.set('accuracyThreshold', Number(accuracyThresholdSelect.value));
+  renderAccuracyInfo();
+  displayNotes();
+});
+
+// Walk mode
+// An opt-in continuous position watch. Each fix refreshes the nearby list and
+// raises an alert for notes within the chosen radius. A note alerts again
+// only after PROXIMITY_ALERT_COOLDOWN has passed.
+const PROXIMITY_ALERT_COOLDOWN = 30 * 60 * 1000;
+let walkWatchId = null;
+// Time each note last raised a proximity alert, keyed by note id.
+const lastProximityAlert = new Map();
+
+function startWalkMode() {
+  if (!navigator.geolocation) {
+    alert('Geolocation not supported');
+    return;
+  }
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission();
+  }
+  walkWatchId = navigator.geolocation.watchPosition(
+    pos => {
+      // The note form follows the walker only while it is at the device's
+      // position, not at a place searched for, tapped or moved on the map.
+      const selected = locationStore.getSelected();
+      if (!selected || selected === locationStore.getCurrent()) {
+        locationStore.setSelected(pos);
+      }
+      locationStore.setCurrent(pos);
+      logPosition(pos);
+      checkProximity(pos).catch(err => console.error(err));
+    },
+    () => {
+      alert('Unable to retrieve location');
+      stopWalkMode();
+    },
+    { enableHighAccuracy: true, maximumAge: 5000 }
+  );
+  walkBtn.textContent = 'Stop walk';
+  walkBtn.setAttribute('aria-pressed', 'true');
+}
+
+function stopWalkMode() {
+  if (walkWatchId !== null) {
+    navigator.geolocation.clearWatch(walkWatchId);
+    walkWatchId = null;
+  }
+  walkBtn.textContent = 'Start walk';
+  walkBtn.setAttribute('aria-pressed', 'false');
+}
+
+async function checkProximity(pos) {
+  if (isLocked()) {
+    return;
+  }
+  const { latitude, longitude } = pos.coords;
+  const radius = settingsStore.get('alertRadius');
+  const notes = await getNotesByRadius(latitude, longitude, radius);
+  const now = Date.now();
+  notes.forEach(n => {
+    const last = lastProximityAlert.get(n.id);
+    if (last !== undefined && now - last < PROXIMITY_ALERT_COOLDOWN) {
+      return;
+    }
+    lastProximityAlert.set(n.id, now);
+    const dist = distance(latitude, longitude, n.lat, n.lon);
+    notifyNearby(n, `${n.title} is ${formatDistance(dist)} away`);
+  });
+}
+
+/**
+ * Tell the user about a nearby note. A system notification is used when the
+ * page is in the background and permission was granted; otherwise the
+ * message appears in the in-app banner.
+ */
+function notifyNearby(note, message) {
+  if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+    new Notification('Nearby note', { body: message, tag: `note-${note.id}` });
+    return;
+  }
+  proximityAlertText.textContent = message;
+  proximityAlert.hidden = false;
+}
+
+walkBtn.addEventListener('click', () => {
+  if (walkWatchId === null) {
+    startWalkMode();
+  } else {
+    stopWalkMode();
+  }
+});
+
+walkRadius.value = String(settingsStore.get('alertRadius'));
+walkRadius.addEventListener('change', () => {
+  settingsStore.set('alertRadius', Number(walkRadius.value));
+});
+
+proximityAlertDismiss.addEventListener('click', () => {
+  proximityAlert.hidden = true;
+});
+
+// Guidance
+// "Guide me" follows the position with its own watch and points an arrow at
+// a note, relative to the heading from the device's compass. Without a
+// compass reading the arrow is hidden and the direction is given as a
+// compass point to head towards.
+const GUIDE_ARRIVAL_DISTANCE = 10;
+let guideNote = null;
+let guideWatchId = null;
+// Degrees clockwise from north the top of the device points, or null.
+let deviceHeading = null;
+
+// The compass heading of a device orientation event, or null when it has
+// none. iOS reports webkitCompassHeading; elsewhere only absolute events
+// have an alpha measured from north, counterclockwise.
+function headingFromOrientation(event) {
+  let heading = null;
+  if (Number.isFinite(event.webkitCompassHeading)) {
+    heading = event.webkitCompassHeading;
+  } else if (event.absolute && Number.isFinite(event.alpha)) {
+    heading = 360 - event.alpha;
+  } else {
+    return null;
+  }
+  // Orientation events describe the device in portrait; turn with the screen.
+  const angle = (screen.orientation && screen.orientation.angle) || 0;
+  return (heading + angle) % 360;
+}
+
+function handleOrientation(event) {
+  deviceHeading = headingFromOrientation(event);
+  renderGuidance();
+}
+
+// Browsers with absolute orientation events fire plain ones relative to an
+// arbitrary start, so those are only used when nothing better exists.
+function orientationEventName() {
+  return 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+}
+
+function listenForHeading() {
+  const listen = () => window.addEventListener(orientationEventName(), handleOrientation);
+  // iOS asks for permission, which must be requested from a tap.
+  if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+    DeviceOrientationEvent.requestPermission()
+      .then(state => {
+        if (state === 'granted') {
+          listen();
+        }
+      })
+      .catch(err => console.error(err));
+    return;
+  }
+  listen();
+}
+
+function startGuidance(note) {
+  if (!navigator.geolocation) {
+    alert('Geolocation not supported');
+    return;
+  }
+  stopGuidance();
+  guideNote = note;
+  guideTitle.textContent = note.title;
+  guideView.hidden = false;
+  listenForHeading();
+  guideWatchId = navigator.geolocation.watchPosition(
+    pos => {
+      locationStore.setCurrent(pos);
+      renderGuidance();
+    },
+    () => {
+      guideDistance.textContent = 'Unable to retrieve location';
+    },
+    { enableHighAccuracy: true, maximumAge: 1000 }
+  );
+  renderGuidance();
+}
+
+function stopGuidance() {
+  if (guideWatchId !== null) {
+    navigator.geolocation.clearWatch(guideWatchId);
+    guideWatchId = null;
+  }
+  window.removeEventListener(orientationEventName(), handleOrientation);
+  deviceHeading = null;
+  guideNote = null;
+  guideView.hidden = true;
+}
+
+// Update the arrow, distance and direction to the guided note.
+function renderGuidance() {
+  if (!guideNote) {
+    return;
+  }
+  const currentPosition = locationStore.getCurrent();
+  if (!currentPosition) {
+    guideArrow.hidden = true;
+    guideDistance.textContent = 'Waiting for location…';
+    guideDirection.textContent = '';
+    return;
+  }
+  const { latitude, longitude } = currentPosition.coords;
+  const dist = distance(latitude, longitude, guideNote.lat, guideNote.lon);
+  if (dist <= GUIDE_ARRIVAL_DISTANCE) {
+    guideArrow.hidden = true;
+    guideDistance.textContent = 'You have arrived';
+    guideDirection.textContent = '';
+    return;
+  }
+  const degrees = bearing(latitude, longitude, guideNote.lat, guideNote.lon);
+  const direction = `${cardinalDirection(degrees)} (${Math.round(degrees)}°)`;
+  guideDistance.textContent = formatDistance(dist);
+  if (deviceHeading === null) {
+    guideArrow.hidden = true;
+    guideDirection.textContent = `Head ${direction}. Compass unavailable`;
+    return;
+  }
+  guideArrow.hidden = false;
+  guideArrow.style.transform = `rotate(${Math.round(degrees - deviceHeading)}deg)`;
+  guideDirection.textContent = direction;
+}
+
+document.getElementById('guideCloseBtn').addEventListener('click', stopGuidance);
+
+// Fetch the device location and treat it as the currently selected spot.
+// This lets users save notes for where they are without performing a search.
+locBtn.addEventListener('click', fetchLocation);
+
+// Nearby notes are displayed relative to the device's current position.
+async function displayNotes() {
+  if (isLocked()) {
+    notesList.innerHTML = '';
+    const li = document.createElement('li');
+    li.textContent = 'Unlock to view notes';
+    notesList.appendChild(li);
+    return;
+  }
+  if (!mapView.hidden) {
+    renderMap();
+  }
+  const currentPosition = locationStore.getCurrent();
+  if (!currentPosition) {
+    notesList.innerHTML = '';
+    const li = document.createElement('li');
+    li.textContent = 'Get location to view nearby notes';
+    notesList.appendChild(li);
+    return;
+  }
+
+  const { latitude, longitude } = currentPosition.coords;
+  const radius = settingsStore.get('radius');
+  const wider = nextRadius(radius);
+  // Read out to the next radius step so the list can say how many notes
+  // are just out of reach.
+  const candidates = (await getNotesByRadius(latitude, longitude, wider || radius)).filter(n => isShown(n));
+  const tags = await getAllTags();
+  const places = new Map((await getPlaces()).map(place => [place.id, place]));
+  const filtered = candidates.filter(matchesTagFilter);
+  const sorted = sortNearby(filtered, latitude, longitude, settingsStore.get('sort'));
+  const inside = sorted.filter(item => item.distance <= radius);
+  // Active reminders come first, each part keeping the chosen order.
+  inside.sort((a, b) => isActiveReminder(b.note) - isActiveReminder(a.note));
+  const outside = sorted.length - inside.length;
+  // Clear existing notes after fetching to avoid duplicates when multiple
+  // geolocation callbacks run concurrently.
+  notesList.innerHTML = '';
+  attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+  attachmentUrls = [];
+  renderTagFilter(tags);
+  renderRadiusHint(outside, wider);
+  if (inside.length === 0) {
+    const li = document.createElement('li');
+    const within = formatDistance(radius);
+    const hidden = candidates.some(n => distance(latitude, longitude, n.lat, n.lon) <= radius);
+    li.textContent = hidden
+      ? `No notes within ${within} with the selected tags`
+      : `No notes within ${within}`;
+    notesList.appendChild(li);
+    return;
+  }
+  groupByPlace(inside, places).forEach(({ place, items }) => {
+    notesList.appendChild(place
+      ? renderPlaceGroup(place, items, currentPosition.coords)
+      : renderNoteItem(items[0].note, items[0].distance, currentPosition.coords));
+  });
+}
+
+// One note of the nearby list. `origin` is the current position's coords.
+function renderNoteItem(n, dist, origin, { inPlace = false } = {}) {
+  const li = document.createElement('li');
+
+  const title = document.createElement('span');
+  title.textContent = n.title;
+  title.className = 'note-title';
+
+  const meta = document.createElement('span');
+  const date = n.createdAt ? new Date(n.createdAt).toLocaleDateString() : '';
+  const place = n.placeName && !inPlace ? ` - ${shortPlaceName(n.placeName)}` : '';
+  const accuracy = Number.isFinite(n.accuracy) ? ` (±${formatDistance(n.accuracy)})` : '';
+  const altitude = Number.isFinite(n.altitude) ? ` - alt. ${formatDistance(n.altitude)}` : '';
+  const expiry = n.expiryDate ? ` - until ${formatDate(n.expiryDate)}` : '';
+  // Notes listed under a place show its distance instead of their own.
+  const where = inPlace ? '' : ` - ${formatDistance(dist)}${directionTo(origin, n)}`;
+  meta.textContent = `${where}${accuracy}${altitude}${place}${date ? ` - ${date}` : ''}${expiry}`;
+  meta.className = 'note-meta';
+  if (n.accuracy > settingsStore.get('accuracyThreshold')) {
+    meta.classList.add('poor-accuracy');
+  }
+  if (n.placeName) {
+    meta.title = n.placeName;
+  }
+
+  const body = document.createElement('div');
+  body.className = 'note-body';
+  // Attachments are added to `body` below the text, so ticks redraw only this.
+  const text = document.createElement('div');
+  text.className = 'markdown';
+  const renderBody = () => {
+    text.textContent = '';
+    text.appendChild(renderMarkdown(n.body, {
+      onToggle: async (line, checked) => {
+        try {
+          Object.assign(n, await toggleNoteTask(n.id, line, checked));
+        } catch (err) {
+          console.error(err);
+          alert('Failed to save the checklist');
+          // Show what is actually stored, or the last saved body when the
+          // note can't be read, such as while locked.
+          const stored = await getNote(n.id).catch(() => null);
+          if (stored) {
+            Object.assign(n, stored);
+          }
+        }
+        renderBody();
+      }
+    }));
+  };
+  renderBody();
+  body.appendChild(text);
+  let attachmentsShown = false;
+
+  title.addEventListener('click', () => {
+    body.style.display = body.style.display === 'block' ? 'none' : 'block';
+    // Attachments are read only when a note is first expanded.
+    if (!attachmentsShown) {
+      attachmentsShown = true;
+      renderAttachments(n.id, body);
+    }
+  });
+
+  const edit = document.createElement('button');
+  edit.textContent = 'Edit';
+  edit.className = 'note-edit';
+  edit.addEventListener('click', () => openEditForm(n));
+
+  const del = document.createElement('button');
+  del.textContent = 'Delete';
+  del.className = 'note-delete';
+  del.addEventListener('click', async () => {
+    try {
+      await trashNote(n.id);
+    } catch (err) {
+      console.error(err);
+      alert('Failed to delete note');
+      return;
+    }
+    displayNotes();
+    showUndoToast(n);
+  });
+
+  li.appendChild(title);
+  li.appendChild(meta);
+  li.appendChild(renderTagChips(n));
+  const share = document.createElement('button');
+  share.textContent = 'Share';
+  share.className = 'note-share';
+  share.addEventListener('click', () => openSharePanel(n));
+
+  const guide = document.createElement('button');
+  guide.textContent = 'Guide me';
+  guide.className = 'note-guide';
+  guide.addEventListener('click', () => startGuidance(n));
+
+  if (isActiveReminder(n)) {
+    li.classList.add('reminder');
+    const done = document.createElement('button');
+    done.textContent = 'Done';
+    done.className = 'note-done';
+    done.addEventListener('click', async () => {
+      try {
+        await completeReminder(n.id);
+      } catch (err) {
+        console.error(err);
+        alert('Failed to mark the reminder done');
+      }
+      displayNotes();
+    });
+    li.appendChild(done);
+  }
+  li.appendChild(edit);
+  li.appendChild(del);
+  li.appendChild(share);
+  li.appendChild(guide);
+
+  if (n.revisions && n.revisions.length) {
+    const historyBtn = document.createElement('button');
+    historyBtn.textContent = `History (${n.revisions.length})`;
+    historyBtn.className = 'note-history-toggle';
+    const history = renderHistory(n);
+    historyBtn.addEventListener('click', () => {
+      history.style.display = history.style.display === 'block' ? 'none' : 'block';
+    });
+    li.appendChild(historyBtn);
+    li.appendChild(body);
+    li.appendChild(history);
+  } else {
+    li.appendChild(body);
+  }
+  return li;
+}
+
+// A YYYY-MM-DD local date in the user's locale.
+function formatDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString();
+}
+
+// Compass point from `origin` to `target`, with a leading space, or nothing
+// when they are at the same spot.
+function directionTo(origin, target) {
+  const dist = distance(origin.latitude, origin.longitude, target.lat, target.lon);
+  return dist >= 1 ? ` ${cardinalDirection(bearing(origin.latitude, origin.longitude, target.lat, target.lon))}` : '';
+}
+
+/**
+ * Group sorted `{ note, distance }` items by place, in order of each place's
+ * first note. Notes without a known place, or alone at theirs, stand alone.
+ */
+function groupByPlace(items, places) {
+  const counts = new Map();
+  items.forEach(({ note }) => counts.set(note.placeId, (counts.get(note.placeId) || 0) + 1));
+  const groups = new Map();
+  const entries = [];
+  items.forEach(item => {
+    const place = places.get(item.note.placeId);
+    if (!place || counts.get(place.id) < 2) {
+      entries.push({ place: null, items: [item] });
+      return;
+    }
+    if (!groups.has(place.id)) {
+      groups.set(place.id, { place, items: [] });
+      entries.push(groups.get(place.id));
+    }
+    groups.get(place.id).items.push(item);
+  });
+  return entries;
+}
+
+// A place in the nearby list with its notes listed under it.
+function renderPlaceGroup(place, items, origin) {
+  const li = document.createElement('li');
+  li.className = 'place-group';
+  const named = items.find(({ note }) => note.placeName);
+  const name = document.createElement('span');
+  name.className = 'place-name';
+  name.textContent = place.name
+    ? shortPlaceName(place.name)
+    : named ? shortPlaceName(named.note.placeName) : 'Unnamed place';
+  const meta = document.createElement('span');
+  meta.className = 'note-meta';
+  const dist = distance(origin.latitude, origin.longitude, place.lat, place.lon);
+  meta.textContent = ` - ${formatDistance(dist)}${directionTo(origin, place)} - ${items.length} notes`;
+  const list = document.createElement('ul');
+  list.className = 'place-notes';
+  items.forEach(({ note, distance: noteDistance }) => {
+    list.appendChild(renderNoteItem(note, noteDistance, origin, { inPlace: true }));
+  });
+  li.appendChild(name);
+  li.appendChild(meta);
+  li.appendChild(list);
+  return li;
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+// Show a note's photos and audio clips inside its expanded body.
+async function renderAttachments(noteId, container) {
+  const attachments = await getAttachments(noteId);
+  if (!attachments.length) {
+    return;
+  }
+  const gallery = document.createElement('div');
+  gallery.className = 'note-attachments';
+  attachments.forEach(a => {
+    const item = document.createElement('div');
+    item.className = 'note-attachment';
+    const url = URL.createObjectURL(a.blob);
+    attachmentUrls.push(url);
+    if (a.type.startsWith('image/')) {
+      const link = document.createElement('a');
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      const img = document.createElement('img');
+      if (a.thumbnail) {
+        img.src = URL.createObjectURL(a.thumbnail);
+        attachmentUrls.push(img.src);
+      } else {
+        img.src = url;
+      }
+      img.alt = a.name;
+      link.appendChild(img);
+      item.appendChild(link);
+    } else if (a.type.startsWith('audio/')) {
+      const audio = document.createElement('audio');
+      audio.controls = true;
+      audio.src = url;
+      item.appendChild(audio);
+    } else {
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = a.name;
+      link.textContent = a.name;
+      item.appendChild(link);
+    }
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', async () => {
+      await deleteAttachment(a.id);
+      item.remove();
+      updateStorageInfo();
+    });
+    item.appendChild(remove);
+    gallery.appendChild(item);
+  });
+  container.appendChild(gallery);
+}
+
+// Report attachment storage against the browser's storage quota.
+async function updateStorageInfo() {
+  if (isLocked()) {
+    return;
+  }
+  const used = await getAttachmentUsage();
+  let text = `Attachments use ${formatBytes(used)}`;
+  if (navigator.storage && navigator.storage.estimate) {
+    const { usage, quota } = await navigator.storage.estimate();
+    if (quota) {
+      text += ` (${formatBytes(usage)} of ${formatBytes(quota)} quota used in total)`;
+    }
+  }
+  storageInfo.textContent = text;
+}
+
+function renderPendingAttachments() {
+  pendingAttachmentsList.innerHTML = '';
+  pendingAttachments.forEach((file, i) => {
+    const li = document.createElement('li');
+    li.textContent = `${file.name} (${formatBytes(file.size)}) `;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      pendingAttachments.splice(i, 1);
+      renderPendingAttachments();
+    });
+    li.appendChild(remove);
+    pendingAttachmentsList.appendChild(li);
+  });
+}
+
+function clearPendingAttachments() {
+  pendingAttachments = [];
+  attachmentsInput.value = '';
+  renderPendingAttachments();
+}
+
+attachmentsInput.addEventListener('change', () => {
+  pendingAttachments = pendingAttachments.concat(Array.from(attachmentsInput.files));
+  attachmentsInput.value = '';
+  renderPendingAttachments();
+});
+
+/**
+ * Record a voice memo with MediaRecorder. The first press starts recording
+ * and the second stops it and queues the clip with the other attachments.
+ */
+recordAudioBtn.addEventListener('click', async () => {
+  if (audioRecorder) {
+    audioRecorder.stop();
+    return;
+  }
+  if (!navigator.mediaDevices || typeof MediaRecorder === 'undefined') {
+    alert('Audio recording not supported');
+    return;
+  }
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const chunks = [];
+    audioRecorder = new MediaRecorder(stream);
+    audioRecorder.addEventListener('dataavailable', e => chunks.push(e.data));
+    audioRecorder.addEventListener('stop', () => {
+      stream.getTracks().forEach(track => track.stop());
+      const type = audioRecorder.mimeType || 'audio/webm';
+      const clip = new Blob(chunks, { type });
+      clip.name = `Voice memo ${new Date().toLocaleTimeString()}`;
+      pendingAttachments.push(clip);
+      audioRecorder = null;
+      recordAudioBtn.textContent = 'Record audio';
+      renderPendingAttachments();
+    });
+    audioRecorder.start();
+    recordAudioBtn.textContent = 'Stop recording';
+  } catch (err) {
+    console.error(err);
+    alert('Unable to record audio');
+  }
+});
+
+// Offer a one-tap way to widen the radius when notes lie just beyond it.
+function renderRadiusHint(outside, wider) {
+  radiusHint.innerHTML = '';
+  if (!outside || !wider) {
+    return;
+  }
+  const text = document.createElement('span');
+  text.textContent = `${outside} more note${outside === 1 ? '' : 's'} within ${formatDistance(wider)}`;
+  const widen = document.createElement('button');
+  widen.type = 'button';
+  widen.textContent = 'Show';
+  widen.addEventListener('click', () => {
+    settingsStore.set('radius', wider);
+    radiusSelect.value = String(wider);
+    displayNotes();
+  });
+  radiusHint.appendChild(text);
+  radiusHint.appendChild(widen);
+}
+
+// Fill the settings controls from the stored settings. Radius labels follow
+// the chosen units.
+function renderSettings() {
+  radiusSelect.innerHTML = '';
+  RADIUS_STEPS.forEach(step => {
+    const option = document.createElement('option');
+    option.value = String(step);
+    option.textContent = formatDistance(step);
+    radiusSelect.appendChild(option);
+  });
+  radiusSelect.value = String(settingsStore.get('radius'));
+  sortSelect.value = settingsStore.get('sort');
+  unitsSelect.value = settingsStore.get('units');
+  trashDaysSelect.value = String(settingsStore.get('trashDays'));
+  Array.from(accuracyThresholdSelect.options).forEach(option => {
+    option.textContent = formatDistance(Number(option.value));
+  });
+  accuracyThresholdSelect.value = String(settingsStore.get('accuracyThreshold'));
+  Array.from(walkRadius.options).forEach(option => {
+    option.textContent = formatDistance(Number(option.value));
+  });
+}
+
+radiusSelect.addEventListener('change', () => {
+  settingsStore.set('radius', Number(radiusSelect.value));
+  displayNotes();
+});
+
+sortSelect.addEventListener('change', () => {
+  settingsStore.set('sort', sortSelect.value);
+  displayNotes();
+});
+
+unitsSelect.addEventListener('change', () => {
+  settingsStore.set('units', unitsSelect.value);
+  renderSettings();
+  displayNotes();
+});
+
+trashDaysSelect.addEventListener('change', async () => {
+  settingsStore.set('trashDays', Number(trashDaysSelect.value));
+  await purgeExpiredTrash();
+  renderTrash();
+  updateStorageInfo();
+});
+
+renderSettings();
+
+// How long the undo toast stays up after a note is moved to the trash.
+const UNDO_TOAST_DURATION = 5000;
+let undoTimer = null;
+let undoNoteId = null;
+
+function showUndoToast(note) {
+  undoNoteId = note.id;
+  undoToastText.textContent = `"${note.title}" moved to trash`;
+  undoToast.hidden = false;
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(() => {
+    undoToast.hidden = true;
+  }, UNDO_TOAST_DURATION);
+}
+
+document.getElementById('undoBtn').addEventListener('click', () => {
+  clearTimeout(undoTimer);
+  undoToast.hidden = true;
+  restoreFromTrash(undoNoteId);
+});
+
+// List trashed notes with buttons to restore them or delete them for good.
+// Only rendered while the trash view is open.
+async function renderTrash() {
+  if (!trashView.open || isLocked()) {
+    return;
+  }
+  const notes = await getTrashedNotes();
+  trashList.innerHTML = '';
+  if (!notes.length) {
+    const li = document.createElement('li');
+    li.textContent = 'Trash is empty';
+    trashList.appendChild(li);
+    return;
+  }
+  notes.forEach(n => {
+    const li = document.createElement('li');
+    const title = document.createElement('strong');
+    title.textContent = n.title;
+    const meta = document.createElement('div');
+    meta.className = 'note-meta';
+    meta.textContent = `Deleted ${new Date(n.trashedAt).toLocaleDateString()}`;
+
+    const restore = document.createElement('button');
+    restore.textContent = 'Restore';
+    restore.addEventListener('click', () => restoreFromTrash(n.id));
+
+    const purge = document.createElement('button');
+    purge.textContent = 'Delete forever';
+    purge.addEventListener('click', async () => {
+      if (!confirm(`Delete "${n.title}" for good?`)) {
+        return;
+      }
+      try {
+        await deleteNote(n.id);
+      } catch (err) {
+        console.error(err);
+        alert('Failed to delete note');
+      }
+      renderTrash();
+      updateStorageInfo();
+    });
+
+    li.appendChild(title);
+    li.appendChild(meta);
+    li.appendChild(restore);
+    li.appendChild(purge);
+    trashList.appendChild(li);
+  });
+}
+
+trashView.addEventListener('toggle', renderTrash);
+
+document.getElementById('emptyTrashBtn').addEventListener('click', async () => {
+  if (!confirm('Delete every note in the trash for good?')) {
+    return;
+  }
+  try {
+    await emptyTrash();
+  } catch (err) {
+    console.error(err);
+    alert('Failed to empty the trash');
+  }
+  renderTrash();
+  updateStorageInfo();
+});
+
+// Collection currently open in the collection view, or null.
+let openCollectionId = null;
+
+// List collections with their note counts, and offer them in the note form.
+async function renderCollections() {
+  const collections = isLocked() ? [] : await getCollections();
+  const listed = new Set(collections.length ? (await getAllNotes()).map(n => n.id) : []);
+  const chosen = noteCollectionSelect.value;
+  noteCollectionSelect.length = 1;
+  collections.forEach(c => noteCollectionSelect.add(new Option(c.name, String(c.id))));
+  noteCollectionSelect.value = collections.some(c => String(c.id) === chosen) ? chosen : '';
+
+  collectionsList.innerHTML = '';
+  collections.forEach(c => {
+    const li = document.createElement('li');
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'collection-open';
+    open.textContent = `${c.name} (${c.noteIds.filter(noteId => listed.has(noteId)).length})`;
+    open.addEventListener('click', () => openCollection(c.id));
+    li.appendChild(open);
+    collectionsList.appendChild(li);
+  });
+}
+
+/**
+ * Show a collection's notes in order, each with its distance from the
+ * current position and buttons to reorder or remove it, under the total
+ * length of the route through them.
+ */
+async function openCollection(id) {
+  if (isLocked()) {
+    return;
+  }
+  const collection = await getCollection(id);
+  if (!collection) {
+    closeCollection();
+    return;
+  }
+  openCollectionId = id;
+  const notes = await getCollectionNotes(collection);
+  const current = locationStore.getCurrent();
+  document.getElementById('collectionTitle').textContent = collection.name;
+  document.getElementById('collectionRoute').textContent = notes.length
+    ? `${notes.length} ${notes.length === 1 ? 'stop' : 'stops'}, route ${formatDistance(routeLength(notes))}`
+    : 'No notes yet. Choose this collection when adding a note.';
+  collectionNotesList.innerHTML = '';
+  notes.forEach((n, i) => {
+    const li = document.createElement('li');
+    const title = document.createElement('span');
+    title.className = 'note-title';
+    title.textContent = n.title;
+    const meta = document.createElement('span');
+    meta.className = 'note-meta';
+    if (current) {
+      const { latitude, longitude } = current.coords;
+      meta.textContent = ` - ${formatDistance(distance(latitude, longitude, n.lat, n.lon))}`;
+    }
+    li.appendChild(title);
+    li.appendChild(meta);
+
+    const actions = [
+      ['Up', 'collection-up', i === 0, () => moveInCollection(id, n.id, -1)],
+      ['Down', 'collection-down', i === notes.length - 1, () => moveInCollection(id, n.id, 1)],
+      ['Remove', 'collection-remove', false, () => removeFromCollection(id, n.id)]
+    ];
+    actions.forEach(([label, className, disabled, action]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.className = className;
+      button.disabled = disabled;
+      button.addEventListener('click', async () => {
+        try {
+          await action();
+        } catch (err) {
+          console.error(err);
+          alert('Failed to update the collection');
+        }
+        openCollection(id);
+        renderCollections();
+      });
+      li.appendChild(button);
+    });
+    collectionNotesList.appendChild(li);
+  });
+  collectionView.hidden = false;
+}
+
+function closeCollection() {
+  openCollectionId = null;
+  collectionNotesList.innerHTML = '';
+  collectionView.hidden = true;
+}
+
+document.getElementById('newCollectionForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const input = document.getElementById('newCollectionName');
+  try {
+    const collection = await createCollection(input.value);
+    input.value = '';
+    await renderCollections();
+    openCollection(collection.id);
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+document.getElementById('exportCollectionBtn').addEventListener('click', async () => {
+  try {
+    await exportCollection(openCollectionId, exportFormat.value);
+  } catch (err) {
+    console.error(err);
+    alert('Export failed');
+  }
+});
+
+document.getElementById('deleteCollectionBtn').addEventListener('click', async () => {
+  let withNotes;
+  try {
+    const collection = await getCollection(openCollectionId);
+    // Another tab may have deleted it already.
+    if (!collection) {
+      closeCollection();
+      renderCollections();
+      return;
+    }
+    if (!confirm(`Delete the collection "${collection.name}"?`)) {
+      return;
+    }
+    withNotes = (await getCollectionNotes(collection)).length > 0 &&
+      confirm('Also move its notes to the trash? Cancel keeps them.');
+    await deleteCollection(collection.id, { withNotes });
+  } catch (err) {
+    console.error(err);
+    alert('Failed to delete the collection');
+    return;
+  }
+  closeCollection();
+  renderCollections();
+  if (withNotes) {
+    displayNotes();
+    renderTrash();
+  }
+});
+
+document.getElementById('collectionCloseBtn').addEventListener('click', closeCollection);
+collectionsView.addEventListener('toggle', renderCollections);
+
+// Draw a QR code into an SVG element, with the four module quiet zone
+// scanners expect. Dark modules form a single path.
+function renderQrCode(svg, text) {
+  const modules = qrCode(text);
+  const size = modules.length + 8;
+  svg.textContent = '';
+  svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+  svg.appendChild(svgEl('rect', { width: size, height: size, fill: '#fff' }));
+  let d = '';
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        d += `M${x + 4} ${y + 4}h1v1h-1z`;
+      }
+    });
+  });
+  svg.appendChild(svgEl('path', { d, fill: '#000' }));
+}
+
+// Show a note's share link with a QR code, the system share sheet where the
+// browser has one, and a copy button.
+let sharingNote = null;
+
+function openSharePanel(note) {
+  sharingNote = note;
+  const link = shareLink(note);
+  shareLinkInput.value = link;
+  shareStatus.textContent = '';
+  shareNativeBtn.hidden = typeof navigator.share !== 'function';
+  try {
+    renderQrCode(shareQr, link);
+    shareQr.hidden = false;
+  } catch (err) {
+    shareQr.hidden = true;
+    shareStatus.textContent = 'This note is too long for a QR code. Share or copy the link instead.';
+  }
+  sharePanel.hidden = false;
+}
+
+shareNativeBtn.addEventListener('click', async () => {
+  try {
+    await navigator.share({ title: sharingNote.title, url: shareLinkInput.value });
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.error(err);
+      shareStatus.textContent = 'Sharing failed';
+    }
+  }
+});
+
+document.getElementById('copyLinkBtn').addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText(shareLinkInput.value);
+    shareStatus.textContent = 'Link copied';
+  } catch (err) {
+    // Without clipboard access, leave the link selected for copying by hand.
+    shareLinkInput.select();
+    shareStatus.textContent = 'Copy the selected link';
+  }
+});
+
+document.getElementById('shareCloseBtn').addEventListener('click', () => {
+  sharePanel.hidden = true;
+  shareQr.textContent = '';
+});
+
+// Preview a note opened from a share link so it can be saved.
+let sharedNote = null;
+
+function showSharedNote() {
+  sharedNoteError.textContent = '';
+  try {
+    sharedNote = parseSharedNote(location.hash);
+  } catch (err) {
+    sharedNote = null;
+    sharedNotePreview.hidden = false;
+    document.getElementById('sharedNoteContent').hidden = true;
+    sharedNoteError.textContent = err.message;
+    return;
+  }
+  if (!sharedNote) {
+    sharedNotePreview.hidden = true;
+    return;
+  }
+  document.getElementById('sharedNoteContent').hidden = false;
+  document.getElementById('sharedNoteTitle').textContent = sharedNote.title;
+  const sharedBody = document.getElementById('sharedNoteBody');
+  sharedBody.textContent = '';
+  sharedBody.appendChild(renderMarkdown(sharedNote.body));
+  const current = locationStore.getCurrent();
+  const where = formatCoordinates(sharedNote.lat, sharedNote.lon);
+  document.getElementById('sharedNoteMeta').textContent = current
+    ? `${where} · ${formatDistance(distance(current.coords.latitude, current.coords.longitude, sharedNote.lat, sharedNote.lon))} away`
+    : where;
+  sharedNotePreview.hidden = false;
+}
+
+// Drop the fragment so reloading doesn't offer the note again.
+function closeSharedNote() {
+  sharedNote = null;
+  sharedNotePreview.hidden = true;
+  history.replaceState(null, '', location.href.split('#')[0]);
+}
+
+document.getElementById('saveSharedBtn').addEventListener('click', async () => {
+  const note = {
+    id: Date.now(),
+    ...sharedNote,
+    tags: [],
+    createdAt: new Date().toISOString(),
+    placeNamePending: true
+  };
+  try {
+    await addNote(await attachToPlace(note));
+  } catch (err) {
+    console.error(err);
+    sharedNoteError.textContent = isLocked() ? 'Unlock to save this note' : 'Failed to save note';
+    return;
+  }
+  closeSharedNote();
+  displayNotes();
+  resolvePendingPlaceNames();
+});
+
+document.getElementById('dismissSharedBtn').addEventListener('click', closeSharedNote);
+
+window.addEventListener('hashchange', showSharedNote);
+window.addEventListener('load', showSharedNote);
+
+/**
+ * Open noteForm with content shared from another app. The position comes
+ * from coordinates or a map link in what was shared, or else from the
+ * device's current location.
+ */
+function fillFromShare({ title = '', text = '', url = '' }) {
+  noteForm.reset();
+  clearPendingAttachments();
+  resetEditing();
+  document.getElementById('title').value = title;
+  // Many apps put the link in the text as well.
+  bodyInput.value = url && !text.includes(url) ? [text, url].filter(Boolean).join('\n') : text;
+  renderBodyPreview();
+  const place = findSharedLocation({ text, url });
+  if (place) {
+    selectPlace(place);
+  } else {
+    noteForm.style.display = 'block';
+    fetchLocation();
+  }
+}
+
+// Read before receiveSharedContent drops the query on load.
+const openedFromShare = new URLSearchParams(location.search).has('share-target');
+
+async function receiveSharedContent() {
+  if (!openedFromShare) {
+    return;
+  }
+  // Drop the query so reloading doesn't look for the share again.
+  history.replaceState(null, '', location.pathname + location.hash);
+  try {
+    const shared = await takeSharedContent();
+    if (shared) {
+      fillFromShare(shared);
+    }
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+window.addEventListener('load', receiveSharedContent);
+
+function matchesTagFilter(note) {
+  const tags = note.tags || [];
+  return [...activeTagFilters].every(tag => tags.includes(tag));
+}
+
+// Toggle buttons for every tag in use. Pressed tags filter the nearby list.
+function renderTagFilter(tags) {
+  tagFilter.innerHTML = '';
+  // Forget filters for tags that no longer exist so the list can't get stuck
+  // empty.
+  [...activeTagFilters].forEach(tag => {
+    if (!tags.includes(tag)) {
+      activeTagFilters.delete(tag);
+    }
+  });
+  tags.forEach(tag => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'tag-chip';
+    btn.textContent = `#${tag}`;
+    btn.setAttribute('aria-pressed', String(activeTagFilters.has(tag)));
+    btn.addEventListener('click', () => {
+      if (activeTagFilters.has(tag)) {
+        activeTagFilters.delete(tag);
+      } else {
+        activeTagFilters.add(tag);
+      }
+      displayNotes();
+    });
+    tagFilter.appendChild(btn);
+  });
+}
+
+// A note's tags as links that open every note under that tag.
+function renderTagChips(note) {
+  const container = document.createElement('span');
+  container.className = 'note-tags';
+  (note.tags || []).forEach(tag => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'tag-chip';
+    chip.textContent = `#${tag}`;
+    chip.addEventListener('click', () => browseTag(tag));
+    container.appendChild(chip);
+  });
+  return container;
+}
+
+/**
+ * List every note carrying `tag`, wherever it was saved.
+ */
+async function browseTag(tag) {
+  const notes = await getNotesByTag(tag);
+  const current = locationStore.getCurrent();
+  tagBrowseTitle.textContent = `Notes tagged #${tag}`;
+  tagBrowseList.innerHTML = '';
+  notes.forEach(n => {
+    const li = document.createElement('li');
+    const title = document.createElement('span');
+    title.className = 'note-title';
+    title.textContent = n.title;
+    const meta = document.createElement('span');
+    meta.className = 'note-meta';
+    if (current) {
+      const { latitude, longitude } = current.coords;
+      meta.textContent = ` - ${formatDistance(distance(latitude, longitude, n.lat, n.lon))}`;
+    }
+    const body = document.createElement('div');
+    body.className = 'note-body markdown';
+    body.appendChild(renderMarkdown(n.body));
+    title.addEventListener('click', () => {
+      body.style.display = body.style.display === 'block' ? 'none' : 'block';
+    });
+    const edit = document.createElement('button');
+    edit.textContent = 'Edit';
+    edit.className = 'note-edit';
+    edit.addEventListener('click', () => openEditForm(n));
+    li.appendChild(title);
+    li.appendChild(meta);
+    li.appendChild(edit);
+    li.appendChild(body);
+    tagBrowseList.appendChild(li);
+  });
+  tagBrowse.hidden = false;
+}
+
+document.getElementById('tagBrowseClose').addEventListener('click', () => {
+  tagBrowse.hidden = true;
+});
+
+/**
+ * Offer known tags that complete the tag currently being typed. Options
+ * repeat the tags already entered because a datalist suggests whole values.
+ */
+function updateTagSuggestions() {
+  const value = tagsInput.value;
+  const cut = value.lastIndexOf(',') + 1;
+  const prefix = value.slice(0, cut);
+  const partial = value.slice(cut).trim().toLowerCase();
+  const entered = parseTags(prefix);
+  tagSuggestions.innerHTML = '';
+  knownTags
+    .filter(tag => tag.startsWith(partial) && !entered.includes(tag))
+    .forEach(tag => {
+      const option = document.createElement('option');
+      option.value = `${prefix}${prefix ? ' ' : ''}${tag}`;
+      tagSuggestions.appendChild(option);
+    });
+}
+
+async function loadTagSuggestions() {
+  knownTags = await getAllTags();
+  updateTagSuggestions();
+}
+
+tagsInput.addEventListener('focus', loadTagSuggestions);
+tagsInput.addEventListener('input', updateTagSuggestions);
+
+// Offline map view
+// Draws nearby notes on an SVG with a flat projection centred on the device.
+// No tiles are fetched, so the map stays usable offline like the rest of the
+// app. Coordinates below are in viewBox units; CSS decides the drawn size.
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MAP_SIZE = 300;
+const METRES_PER_DEGREE = Math.PI * 6371e3 / 180;
+const MAP_MIN_SCALE = 0.1;
+const MAP_MAX_SCALE = 5000;
+// Pointers that move less than this many units count as a tap, not a pan.
+const MAP_TAP_TOLERANCE = 6;
+const mapState = {
+  // Explicit centre after the user pans; null follows the device position.
+  center: null,
+  // Metres per viewBox unit.
+  scale: 1,
+  notes: new Map(),
+  pointers: new Map(),
+  drag: null,
+  pinchDistance: null
+};
+
+function mapCenter() {
+  if (mapState.center) {
+    return mapState.center;
+  }
+  const pos = locationStore.getCurrent() || locationStore.getSelected();
+  return pos ? { lat: pos.coords.latitude, lon: pos.coords.longitude } : null;
+}
+
+function projectToMap(center, lat, lon) {
+  const lonScale = METRES_PER_DEGREE * Math.cos(center.lat * Math.PI / 180);
+  return {
+    x: MAP_SIZE / 2 + (lon - center.lon) * lonScale / mapState.scale,
+    y: MAP_SIZE / 2 - (lat - center.lat) * METRES_PER_DEGREE / mapState.scale
+  };
+}
+
+function unprojectFromMap(center, x, y) {
+  const lonScale = METRES_PER_DEGREE * Math.cos(center.lat * Math.PI / 180);
+  return {
+    lat: center.lat - (y - MAP_SIZE / 2) * mapState.scale / METRES_PER_DEGREE,
+    lon: center.lon + (x - MAP_SIZE / 2) * mapState.scale / lonScale
+  };
+}
+
+/**
+ * Pick a round scale bar length (1, 2 or 5 x 10^n of the display unit) close
+ * to a quarter of the map width. Returns the length in metres and its label.
+ */
+function scaleBar(scale, units) {
+  const target = MAP_SIZE / 4 * scale;
+  const [small, large] = units === 'imperial'
+    ? [['ft', 0.3048], ['mi', 1609.344]]
+    : [['m', 1], ['km', 1000]];
+  const [unit, size] = target >= large[1] ? large : small;
+  const magnitude = 10 ** Math.floor(Math.log10(target / size));
+  const value = [5, 2, 1].find(step => step * magnitude <= target / size) * magnitude;
+  return { metres: value * size, label: `${value} ${unit}` };
+}
+
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.keys(attrs).forEach(name => el.setAttribute(name, attrs[name]));
+  return el;
+}
+
+async function renderMap() {
+  const center = mapCenter();
+  if (!center) {
+    notesMap.textContent = '';
+    mapStatus.textContent = 'Get location to view the map';
+    return;
+  }
+  const radius = MAP_SIZE / Math.SQRT2 * mapState.scale;
+  const notes = (await getNotesByRadius(center.lat, center.lon, radius)).filter(n => isShown(n));
+  // Clear after fetching so overlapping renders don't draw twice.
+  notesMap.textContent = '';
+  mapStatus.textContent = notes.length ? '' : 'No notes in view';
+  mapState.notes = new Map();
+
+  notesMap.appendChild(svgEl('rect', { class: 'map-bg', x: 0, y: 0, width: MAP_SIZE, height: MAP_SIZE }));
+  const layer = svgEl('g', { class: 'map-layer' });
+  notesMap.appendChild(layer);
+
+  notes.forEach(n => {
+    const p = projectToMap(center, n.lat, n.lon);
+    const dot = svgEl('circle', { class: 'map-note', cx: p.x, cy: p.y, r: 6, 'data-note-id': n.id });
+    const tip = svgEl('title');
+    tip.textContent = n.title;
+    dot.appendChild(tip);
+    const label = svgEl('text', { class: 'map-label', x: p.x + 8, y: p.y + 3 });
+    label.textContent = n.title;
+    layer.appendChild(dot);
+    layer.appendChild(label);
+    mapState.notes.set(String(n.id), n);
+  });
+
+  const current = locationStore.getCurrent();
+  const selected = locationStore.getSelected();
+  if (current) {
+    const p = projectToMap(center, current.coords.latitude, current.coords.longitude);
+    layer.appendChild(svgEl('circle', { class: 'map-current', cx: p.x, cy: p.y, r: 5 }));
+  }
+  if (selected) {
+    const p = projectToMap(center, selected.coords.latitude, selected.coords.longitude);
+    if (Number.isFinite(selected.coords.accuracy)) {
+      layer.appendChild(svgEl('circle', {
+        class: 'map-accuracy',
+        cx: p.x,
+        cy: p.y,
+        r: selected.coords.accuracy / mapState.scale
+      }));
+    }
+    // The selected pin can be dragged to adjust the position. It is drawn
+    // last so it stays on top of the current position when they meet.
+    layer.appendChild(svgEl('circle', { class: 'map-selected', cx: p.x, cy: p.y, r: 8 }));
+  }
+
+  const bar = scaleBar(mapState.scale, settingsStore.get('units'));
+  const barY = MAP_SIZE - 12;
+  notesMap.appendChild(svgEl('line', {
+    class: 'map-scale',
+    x1: 10,
+    y1: barY,
+    x2: 10 + bar.metres / mapState.scale,
+    y2: barY
+  }));
+  const barLabel = svgEl('text', { class: 'map-scale-label', x: 10, y: barY - 5 });
+  barLabel.textContent = bar.label;
+  notesMap.appendChild(barLabel);
+
+  notesMap.appendChild(svgEl('polygon', {
+    class: 'map-north',
+    points: `${MAP_SIZE - 20},10 ${MAP_SIZE - 26},28 ${MAP_SIZE - 14},28`
+  }));
+  const north = svgEl('text', { class: 'map-north-label', x: MAP_SIZE - 24, y: 40 });
+  north.textContent = 'N';
+  notesMap.appendChild(north);
+}
+
+function showMapNote(note) {
+  mapNote.textContent = '';
+  const title = document.createElement('strong');
+  title.textContent = note.title;
+  const meta = document.createElement('span');
+  meta.className = 'note-meta';
+  const current = locationStore.getCurrent();
+  if (current) {
+    const { latitude, longitude } = current.coords;
+    meta.textContent = ` - ${formatDistance(distance(latitude, longitude, note.lat, note.lon))}`;
+  }
+  const body = document.createElement('div');
+  body.className = 'markdown';
+  body.appendChild(renderMarkdown(note.body));
+  const edit = document.createElement('button');
+  edit.textContent = 'Edit';
+  edit.className = 'note-edit';
+  edit.addEventListener('click', () => openEditForm(note));
+  const close = document.createElement('button');
+  close.textContent = 'Close';
+  close.className = 'note-delete';
+  close.addEventListener('click', () => { mapNote.hidden = true; });
+  mapNote.appendChild(title);
+  mapNote.appendChild(meta);
+  mapNote.appendChild(edit);
+  mapNote.appendChild(close);
+  mapNote.appendChild(body);
+  mapNote.hidden = false;
+}
+
+/**
+ * A tap on a note opens it. A tap on empty space makes that spot the
+ * selected position, so a note can be added somewhere visible on the map.
+ */
+function handleMapTap(target, point) {
+  const dot = target.closest && target.closest('.map-note');
+  if (dot) {
+    showMapNote(mapState.notes.get(dot.getAttribute('data-note-id')));
+    return;
+  }
+  const center = mapCenter();
+  if (!center) {
+    return;
+  }
+  const { lat, lon } = unprojectFromMap(center, point.x, point.y);
+  locationStore.setSelected({ coords: { latitude: lat, longitude: lon } });
+  searchResult.textContent = `Selected ${formatCoordinates(lat, lon)}`;
+  renderMap();
+}
+
+// Move the selected position by a pin drag. The fix's altitude is kept but
+// its accuracy no longer describes the position, so it is marked adjusted.
+function moveSelectedPin(center, drag) {
+  const selected = locationStore.getSelected();
+  const from = projectToMap(center, selected.coords.latitude, selected.coords.longitude);
+  const { lat, lon } = unprojectFromMap(center, from.x + drag.dx, from.y + drag.dy);
+  // The place name no longer fits the moved pin; the note looks it up again.
+  locationStore.setSelected({
+    coords: { latitude: lat, longitude: lon, altitude: selected.coords.altitude },
+    adjusted: true
+  });
+  searchResult.textContent = `Selected ${formatCoordinates(lat, lon)}`;
+  renderAccuracyInfo();
+  renderMap();
+}
+
+function zoomMap(factor) {
+  mapState.scale = Math.min(MAP_MAX_SCALE, Math.max(MAP_MIN_SCALE, mapState.scale * factor));
+  renderMap();
+}
+
+// Convert a pointer event to viewBox units.
+function mapPoint(e) {
+  const rect = notesMap.getBoundingClientRect();
+  const sx = rect.width ? MAP_SIZE / rect.width : 1;
+  const sy = rect.height ? MAP_SIZE / rect.height : 1;
+  return { x: (e.clientX - rect.left) * sx, y: (e.clientY - rect.top) * sy };
+}
+
+function pinchDistance() {
+  const [a, b] = [...mapState.pointers.values()];
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+notesMap.addEventListener('pointerdown', e => {
+  const point = mapPoint(e);
+  mapState.pointers.set(e.pointerId, point);
+  if (notesMap.setPointerCapture && e.pointerId !== undefined) {
+    notesMap.setPointerCapture(e.pointerId);
+  }
+  if (mapState.pointers.size === 1) {
+    const pin = e.target.closest && e.target.closest('.map-selected');
+    mapState.drag = { start: point, dx: 0, dy: 0, moved: false, pin };
+  } else if (mapState.pointers.size === 2) {
+    mapState.drag = null;
+    mapState.pinchDistance = pinchDistance();
+  }
+});
+
+notesMap.addEventListener('pointermove', e => {
+  if (!mapState.pointers.has(e.pointerId)) {
+    return;
+  }
+  const point = mapPoint(e);
+  mapState.pointers.set(e.pointerId, point);
+  const layer = notesMap.querySelector('.map-layer');
+  if (mapState.drag) {
+    const drag = mapState.drag;
+    drag.dx = point.x - drag.start.x;
+    drag.dy = point.y - drag.start.y;
+    drag.moved = drag.moved || Math.hypot(drag.dx, drag.dy) > MAP_TAP_TOLERANCE;
+    if (drag.moved && drag.pin) {
+      drag.pin.setAttribute('transform', `translate(${drag.dx} ${drag.dy})`);
+    } else if (drag.moved && layer) {
+      layer.setAttribute('transform', `translate(${drag.dx} ${drag.dy})`);
+    }
+  } else if (mapState.pinchDistance && mapState.pointers.size === 2 && layer) {
+    const ratio = pinchDistance() / mapState.pinchDistance;
+    const c = MAP_SIZE / 2;
+    layer.setAttribute('transform', `translate(${c} ${c}) scale(${ratio}) translate(${-c} ${-c})`);
+  }
+});
+
+function endMapPointer(e) {
+  if (!mapState.pointers.has(e.pointerId)) {
+    return;
+  }
+  if (mapState.pinchDistance) {
+    const ratio = pinchDistance() / mapState.pinchDistance;
+    mapState.pinchDistance = null;
+    mapState.pointers.clear();
+    zoomMap(1 / ratio);
+    return;
+  }
+  mapState.pointers.delete(e.pointerId);
+  const drag = mapState.drag;
+  mapState.drag = null;
+  if (!drag) {
+    return;
+  }
+  if (!drag.moved) {
+    handleMapTap(e.target, drag.start);
+    return;
+  }
+  const center = mapCenter();
+  if (center && drag.pin) {
+    moveSelectedPin(center, drag);
+    return;
+  }
+  if (center) {
+    mapState.center = unprojectFromMap(center, MAP_SIZE / 2 - drag.dx, MAP_SIZE / 2 - drag.dy);
+  }
+  renderMap();
+}
+
+notesMap.addEventListener('pointerup', endMapPointer);
+notesMap.addEventListener('pointercancel', endMapPointer);
+
+notesMap.addEventListener('wheel', e => {
+  e.preventDefault();
+  zoomMap(e.deltaY > 0 ? 1.25 : 0.8);
+});
+
+document.getElementById('mapZoomIn').addEventListener('click', () => zoomMap(0.5));
+document.getElementById('mapZoomOut').addEventListener('click', () => zoomMap(2));
+document.getElementById('mapRecenter').addEventListener('click', () => {
+  mapState.center = null;
+  renderMap();
+});
+
+function showView(view) {
+  const showMap = view === 'map';
+  mapView.hidden = !showMap;
+  notesList.hidden = showMap;
+  listViewBtn.setAttribute('aria-pressed', String(!showMap));
+  mapViewBtn.setAttribute('aria-pressed', String(showMap));
+  if (showMap) {
+    renderMap();
+  }
+}
+
+listViewBtn.addEventListener('click', () => showView('list'));
+mapViewBtn.addEventListener('click', () => showView('map'));
+
+exportBtn.addEventListener('click', async () => {
+  try {
+    await exportNotes(exportFormat.value);
+  } catch (err) {
+    console.error(err);
+    alert('Export failed');
+  }
+});
+
+importFile.addEventListener('change', async () => {
+  const file = importFile.files[0];
+  if (!file) {
+    return;
+  }
+  importStatus.textContent = 'Importing...';
+  try {
+    const { imported, updated, skipped, outdated, copied, errors } = await importNotes(await file.text());
+    const parts = [`Imported ${imported} note${imported === 1 ? '' : 's'}`];
+    if (copied) {
+      parts.push(`${copied} of them as copies of a different saved version`);
+    }
+    if (updated) {
+      parts.push(`updated ${updated} with a newer version`);
+    }
+    if (skipped) {
+      parts.push(`skipped ${skipped} already saved`);
+    }
+    if (outdated) {
+      parts.push(`kept ${outdated} saved version${outdated === 1 ? '' : 's'} that ${outdated === 1 ? 'is' : 'are'} newer`);
+    }
+    if (errors.length) {
+      parts.push(`${errors.length} invalid (${errors.join('; ')})`);
+    }
+    importStatus.textContent = parts.join(', ');
+    displayNotes();
+  } catch (err) {
+    console.error(err);
+    importStatus.textContent = `Import failed: ${err.message}`;
+  } finally {
+    importFile.value = '';
+  }
+});
+
+async function displaySearchResults() {
+  const query = noteSearchQuery.value.trim();
+  if (!query || isLocked()) {
+    noteSearchResults.innerHTML = '';
+    return;
+  }
+  const terms = tokenize(query);
+  const results = await searchNotes(query, {
+    sort: noteSearchSort.value,
+    position: locationStore.getCurrent()
   });
-}
+  noteSearchResults.innerHTML = '';
+  if (!results.length) {
+    const li = document.createElement('li');
+    li.textContent = 'No matching notes';
+    noteSearchResults.appendChild(li);
+    return;
+  }
+  results.forEach(({ note, distance: dist }) => {
+    const li = document.createElement('li');
 
-// IndexedDB wrapper
-const dbPromise = new Promise((resolve, reject) => {
-  const request = indexedDB.open('notes-db', 1);
-  request.onupgradeneeded = event => {
-    const db = event.target.result;
-    db.createObjectStore('notes', { keyPath: 'id' });
-  };
-  request.onsuccess = () => resolve(request.result);
-  request.onerror = () => reject(request.error);
-});
+    const title = document.createElement('span');
+    title.className = 'note-title';
+    title.appendChild(highlightText(note.title, terms));
 
-function transactionPromise(tx) {
-  return new Promise((resolve, reject) => {
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
-  });
-}
+    const meta = document.createElement('span');
+    meta.className = 'note-meta';
+    const parts = [];
+    if (dist !== undefined) {
+      parts.push(formatDistance(dist));
+    }
+    if (note.createdAt) {
+      parts.push(new Date(note.createdAt).toLocaleDateString());
+    }
+    meta.textContent = parts.length ? ` - ${parts.join(' - ')}` : '';
 
-async function addNote(note) {
-  const db = await dbPromise;
-  const tx = db.transaction('notes', 'readwrite');
-  tx.objectStore('notes').put(note);
-  return transactionPromise(tx);
-}
+    const edit = document.createElement('button');
+    edit.textContent = 'Edit';
+    edit.className = 'note-edit';
+    edit.addEventListener('click', () => openEditForm(note));
 
-async function getAllNotes() {
-  const db = await dbPromise;
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction('notes', 'readonly');
-    const req = tx.objectStore('notes').getAll();
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
+    const body = document.createElement('div');
+    body.className = 'search-body';
+    body.appendChild(highlightText(note.body, terms));
+
+    li.appendChild(title);
+    li.appendChild(meta);
+    li.appendChild(edit);
+    li.appendChild(body);
+    noteSearchResults.appendChild(li);
   });
 }
 
-function distance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // metres
-  const toRad = deg => deg * Math.PI / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-            Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+function refreshSearchResults() {
+  displaySearchResults().catch(err => console.error(err));
 }
 
-async function getNotesByRadius(lat, lon, radius) {
-  const notes = await getAllNotes();
-  return notes.filter(n => distance(lat, lon, n.lat, n.lon) <= radius);
-}
+noteSearchForm.addEventListener('submit', e => {
+  e.preventDefault();
+  refreshSearchResults();
+});
 
-async function deleteNote(id) {
-  const db = await dbPromise;
-  const tx = db.transaction('notes', 'readwrite');
-  tx.objectStore('notes').delete(id);
-  return transactionPromise(tx);
-}
+noteSearchSort.addEventListener('change', refreshSearchResults);
 
-// UI and geolocation
 /**
- * Singleton store tracking user location.
- *
- * "current" holds the last geolocation retrieved from the device.
- * "selected" holds the coordinates where a new note will be saved,
- * which may come from the current position or a remote place search.
- * Searching only updates "selected" while the geolocation button sets
- * both values to the device's location.
+ * Forget the key and hide everything that shows note contents until the
+ * passphrase is entered again.
  */
-const locationStore = (() => {
-  let currentPosition;
-  let selectedPosition;
-  return {
-    getCurrent: () => currentPosition,
-    setCurrent: pos => { currentPosition = pos; },
-    getSelected: () => selectedPosition,
-    setSelected: pos => { selectedPosition = pos; }
-  };
-})();
-// Expose for tests to inspect or mock current/selected coordinates.
-// Production code should not read or modify this global directly.
-window.locationStore = locationStore;
-const locBtn = document.getElementById('locBtn');
-const notesList = document.getElementById('notesList');
-const addNoteBtn = document.getElementById('addNoteBtn');
-const noteForm = document.getElementById('noteForm');
-const cancelNoteBtn = document.getElementById('cancelNoteBtn');
-const searchForm = document.getElementById('searchForm');
-const searchQuery = document.getElementById('searchQuery');
-const searchResult = document.getElementById('searchResult');
-let lastSearchTime = 0;
+function lockNotes() {
+  if (!encryptionEnabled()) {
+    return;
+  }
+  cryptoKey = null;
+  clearTimeout(lockTimer);
+  noteForm.reset();
+  noteForm.style.display = 'none';
+  resetEditing();
+  clearPendingAttachments();
+  noteSearchResults.innerHTML = '';
+  trashList.innerHTML = '';
+  tagBrowseList.innerHTML = '';
+  tagBrowse.hidden = true;
+  mapNote.hidden = true;
+  notesMap.textContent = '';
+  closeCollection();
+  renderCollections();
+  stopGuidance();
+  displayNotes();
+  renderEncryptionSettings();
+  lockScreen.hidden = false;
+  unlockPassphrase.focus();
+}
 
-function fetchLocation() {
-  if (!navigator.geolocation) {
-    alert('Geolocation not supported');
+// Restart the inactivity countdown. Called on any user interaction.
+function resetLockTimer() {
+  clearTimeout(lockTimer);
+  if (!encryptionEnabled() || !cryptoKey) {
     return;
   }
-  const originalText = locBtn.textContent;
-  locBtn.disabled = true;
-  locBtn.textContent = 'Getting location...';
+  lockTimer = setTimeout(lockNotes, settingsStore.get('lockMinutes') * 60 * 1000);
+}
 
-  notesList.innerHTML = '';
-  const li = document.createElement('li');
-  li.textContent = 'Getting location...';
-  notesList.appendChild(li);
+['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+  document.addEventListener(type, resetLockTimer, { capture: true, passive: true });
+});
 
-  navigator.geolocation.getCurrentPosition(
-    pos => {
-      // Geolocation updates both current and selected positions to the
-      // device's coordinates.
-      locationStore.setCurrent(pos);
-      locationStore.setSelected(pos);
+// Show the controls that apply to the current encryption state.
+function renderEncryptionSettings() {
+  const config = readCryptoConfig();
+  encryptionOff.hidden = Boolean(config);
+  encryptionOn.hidden = !config;
+  if (config) {
+    encryptionStatus.textContent = config.encryptLocation
+      ? 'Titles, bodies, attachments, collections and locations are encrypted. Tags are not.'
+      : 'Titles, bodies, attachments and collections are encrypted. Tags, locations and place names are not.';
+  }
+  lockMinutesSelect.value = String(settingsStore.get('lockMinutes'));
+}
 
-      logPosition(pos);
-      locBtn.disabled = false;
-      locBtn.textContent = originalText;
-    },
-    () => {
-      alert('Unable to retrieve location');
-      locBtn.disabled = false;
-      locBtn.textContent = originalText;
-      notesList.innerHTML = '';
-      const li = document.createElement('li');
-      li.textContent = 'Unable to retrieve location';
-      notesList.appendChild(li);
-    }
-  );
+// Refresh everything that was hidden while locked.
+function afterUnlock() {
+  lockScreen.hidden = true;
+  unlockPassphrase.value = '';
+  unlockError.textContent = '';
+  renderEncryptionSettings();
+  resetLockTimer();
+  displayNotes();
+  updateStorageInfo();
+  resolvePendingPlaceNames();
+  renderTrash();
+  renderCollections();
+  syncNow();
 }
 
-addNoteBtn.addEventListener('click', () => {
-  const isOpen = noteForm.style.display === 'block';
-  noteForm.style.display = isOpen ? 'none' : 'block';
-  if (isOpen) {
-    // Closing the form clears any previous search details.
-    searchResult.textContent = '';
-  } else if (!locationStore.getCurrent()) {
-    fetchLocation();
+lockScreen.addEventListener('submit', async e => {
+  e.preventDefault();
+  unlockError.textContent = '';
+  try {
+    await unlockNotes(unlockPassphrase.value);
+    afterUnlock();
+  } catch (err) {
+    unlockError.textContent = err.message;
   }
 });
 
-cancelNoteBtn.addEventListener('click', () => {
-  noteForm.reset();
-  noteForm.style.display = 'none';
-  searchResult.textContent = '';
-});
-
-/**
- * Handle remote place lookups. A successful search stores the returned
- * coordinates as the "selected" location so a note can be created for
- * that place even if the user is elsewhere.
- */
-searchForm.addEventListener('submit', async e => {
+document.getElementById('encryptionEnableForm').addEventListener('submit', async e => {
   e.preventDefault();
-  const query = searchQuery.value.trim();
-  if (!query) {
-    return;
-  }
-  const now = Date.now();
-  if (now - lastSearchTime < 1000) {
-    alert('Please wait before searching again.');
+  const passphrase = document.getElementById('encPassphrase').value;
+  const confirmation = document.getElementById('encPassphraseConfirm').value;
+  if (passphrase !== confirmation) {
+    alert('Passphrases do not match');
     return;
   }
-  lastSearchTime = now;
-  searchResult.textContent = 'Searching...';
   try {
-    const url = `https://nominatim.openstreetmap.org/search?format=json&limit=1&q=${encodeURIComponent(query)}`;
-    const res = await fetch(url, {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'PlaceNotes/1.0 (contact@example.com)'
-      }
-    });
-    const data = await res.json();
-    if (!data.length) {
-      searchResult.textContent = 'No results';
-      return;
-    }
-    const place = data[0];
-    // Save remote coordinates as the selected location for note creation.
-    locationStore.setSelected({
-      coords: {
-        latitude: parseFloat(place.lat),
-        longitude: parseFloat(place.lon)
-      }
+    await enableEncryption(passphrase, {
+      encryptLocation: document.getElementById('encLocation').checked
     });
-    searchResult.textContent = place.display_name;
-    noteForm.style.display = 'block';
+    e.target.reset();
+    afterUnlock();
   } catch (err) {
     console.error(err);
-    searchResult.textContent = 'Search failed';
+    alert('Failed to encrypt notes');
   }
 });
 
-
-function logPosition(pos) {
-  const { latitude, longitude, accuracy } = pos.coords;
-  const timestamp = pos.timestamp;
-  console.log('Position:', { lat: latitude, lon: longitude, accuracy, timestamp });
-  displayNotes();
-}
-
-// Fetch the device location and treat it as the currently selected spot.
-// This lets users save notes for where they are without performing a search.
-locBtn.addEventListener('click', fetchLocation);
-
-// Nearby notes are displayed relative to the device's current position.
-async function displayNotes() {
-  const currentPosition = locationStore.getCurrent();
-  if (!currentPosition) {
-    notesList.innerHTML = '';
-    const li = document.createElement('li');
-    li.textContent = 'Get location to view nearby notes';
-    notesList.appendChild(li);
-    return;
+document.getElementById('encryptionChangeForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  try {
+    await changePassphrase(
+      document.getElementById('encCurrent').value,
+      document.getElementById('encNew').value
+    );
+    e.target.reset();
+    alert('Passphrase changed');
+  } catch (err) {
+    console.error(err);
+    alert(err.message === 'Wrong passphrase' ? err.message : 'Failed to change passphrase');
+    if (isLocked()) {
+      lockNotes();
+    }
   }
+});
 
-  const { latitude, longitude } = currentPosition.coords;
-  const notes = await getNotesByRadius(latitude, longitude, 100);
-  // Clear existing notes after fetching to avoid duplicates when multiple
-  // geolocation callbacks run concurrently.
-  notesList.innerHTML = '';
-  if (notes.length === 0) {
-    const li = document.createElement('li');
-    li.textContent = 'No nearby notes';
-    notesList.appendChild(li);
-    return;
+document.getElementById('encryptionDisableBtn').addEventListener('click', async () => {
+  try {
+    await disableEncryption(document.getElementById('encCurrent').value);
+    document.getElementById('encryptionChangeForm').reset();
+    renderEncryptionSettings();
+    displayNotes();
+  } catch (err) {
+    console.error(err);
+    alert(err.message === 'Wrong passphrase' ? err.message : 'Failed to turn off encryption');
+    if (isLocked()) {
+      lockNotes();
+    }
   }
-  notes.forEach(n => {
-    const li = document.createElement('li');
-    const dist = Math.round(distance(latitude, longitude, n.lat, n.lon));
+});
 
-    const title = document.createElement('span');
-    title.textContent = n.title;
-    title.className = 'note-title';
+document.getElementById('lockNowBtn').addEventListener('click', lockNotes);
 
-    const meta = document.createElement('span');
-    const date = n.createdAt ? new Date(n.createdAt).toLocaleDateString() : '';
-    meta.textContent = ` - ${dist} m${date ? ` - ${date}` : ''}`;
-    meta.className = 'note-meta';
+lockMinutesSelect.addEventListener('change', () => {
+  settingsStore.set('lockMinutes', Number(lockMinutesSelect.value));
+  resetLockTimer();
+});
 
-    const body = document.createElement('div');
-    body.textContent = n.body;
-    body.className = 'note-body';
+renderEncryptionSettings();
+// Encrypted notes start locked.
+lockScreen.hidden = !isLocked();
+// A passphrase change cut short last time may turn out to have switched
+// encryption off, leaving nothing to unlock.
+settleCryptoChange()
+  .then(settled => {
+    if (settled && !isLocked()) {
+      afterUnlock();
+    }
+  })
+  .catch(err => console.error(err));
 
-    title.addEventListener('click', () => {
-      body.style.display = body.style.display === 'none' ? 'block' : 'none';
-    });
+/**
+ * Build the revision list shown under a note, newest first. Each entry can
+ * be restored, which saves it as the note's current content.
+ */
+function renderHistory(note) {
+  const list = document.createElement('ul');
+  list.className = 'note-history';
+  for (let i = note.revisions.length - 1; i >= 0; i--) {
+    const revision = note.revisions[i];
+    const item = document.createElement('li');
 
-    const del = document.createElement('button');
-    del.textContent = 'Delete';
-    del.className = 'note-delete';
-    del.addEventListener('click', async () => {
-      await deleteNote(n.id);
-      displayNotes();
+    const heading = document.createElement('span');
+    const date = revision.savedAt ? new Date(revision.savedAt).toLocaleString() : '';
+    heading.textContent = `${revision.title}${date ? ` - ${date}` : ''}`;
+    heading.className = 'note-history-title';
+
+    const text = document.createElement('div');
+    text.textContent = revision.body;
+    text.className = 'note-history-body';
+
+    const restore = document.createElement('button');
+    restore.textContent = 'Restore';
+    restore.addEventListener('click', async () => {
+      try {
+        await addNote(restoreRevision(note, i));
+        displayNotes();
+      } catch (err) {
+        console.error(err);
+        alert('Failed to restore note');
+      }
     });
 
-    li.appendChild(title);
-    li.appendChild(meta);
-    li.appendChild(del);
-    li.appendChild(body);
-    notesList.appendChild(li);
-  });
+    item.appendChild(heading);
+    item.appendChild(restore);
+    item.appendChild(text);
+    list.appendChild(item);
+  }
+  return list;
 }
 
 /**
  * Create a note at the currently selected coordinates. The selected
  * position may come from geolocation or a remote search, allowing notes
- * for places other than the device's present location.
+ * for places other than the device's present location. When a note is
+ * being edited the form instead updates that note where it was saved.
  */
 noteForm.addEventListener('submit', async e => {
   e.preventDefault();
-  const selectedPosition = locationStore.getSelected();
-
-  if (!selectedPosition) {
-    alert('Select a location first');
-    return;
-  }
   const title = document.getElementById('title').value;
   const body = document.getElementById('body').value;
-  const { latitude: lat, longitude: lon } = selectedPosition.coords;
-  const note = {
-    id: Date.now(),
-    title,
-    body,
-    lat,
-    lon,
-    createdAt: new Date().toISOString()
+  const tags = parseTags(tagsInput.value);
+  // Unset fields stay undefined so notes without reminders don't gain them.
+  const reminder = {
+    dueDate: dueDateInput.value || undefined,
+    expiryDate: expiryDateInput.value || undefined,
+    remindNear: remindNearInput.checked || undefined
   };
+  if (reminder.dueDate && reminder.expiryDate && reminder.expiryDate < reminder.dueDate) {
+    alert('The expiry date is before the due date');
+    return;
+  }
+  let note;
+  if (editingNote) {
+    const changes = { title, body, tags, ...reminder };
+    // A reminder given a new date or turned back on is no longer done.
+    if (reminder.dueDate !== editingNote.dueDate || reminder.remindNear !== editingNote.remindNear) {
+      changes.doneAt = undefined;
+    }
+    note = reviseNote(editingNote, changes);
+  } else {
+    const selectedPosition = locationStore.getSelected();
+    if (!selectedPosition) {
+      alert('Select a location first');
+      return;
+    }
+    const { latitude: lat, longitude: lon, accuracy, altitude } = selectedPosition.coords;
+    note = {
+      id: Date.now(),
+      title,
+      body,
+      tags,
+      lat,
+      lon,
+      createdAt: new Date().toISOString()
+    };
+    Object.keys(reminder).forEach(key => {
+      if (reminder[key] !== undefined) {
+        note[key] = reminder[key];
+      }
+    });
+    // Positions picked from a search or the map have no fix accuracy.
+    if (Number.isFinite(accuracy) && !selectedPosition.adjusted) {
+      note.accuracy = accuracy;
+    }
+    if (Number.isFinite(altitude)) {
+      note.altitude = altitude;
+    }
+    if (selectedPosition.placeName) {
+      note.placeName = selectedPosition.placeName;
+    } else {
+      note.placeNamePending = true;
+    }
+  }
+  const collectionId = noteCollectionSelect.value;
   try {
+    if (!editingNote) {
+      note = await attachToPlace(note);
+    }
     await addNote(note);
+    if (pendingAttachments.length) {
+      await addAttachments(note.id, pendingAttachments);
+      updateStorageInfo();
+    }
+    if (collectionId) {
+      await addToCollection(Number(collectionId), note.id);
+      renderCollections();
+      if (openCollectionId === Number(collectionId)) {
+        openCollection(openCollectionId);
+      }
+    }
     e.target.reset();
+    // Keep the collection chosen so several stops can be added in a row.
+    noteCollectionSelect.value = collectionId;
+    clearPendingAttachments();
     noteForm.style.display = 'none';
+    resetEditing();
     displayNotes();
+    if (note.placeNamePending) {
+      resolvePendingPlaceNames();
+    }
   } catch (err) {
     console.error(err);
     alert('Failed to save note');
@@ -326,7 +5721,31 @@ noteForm.addEventListener('submit', async e => {
     // Clear search info so stale results aren't shown after adding or failing
     // to add a note.
     searchResult.textContent = '';
+    searchCandidates.innerHTML = '';
   }
 });
 
+window.addEventListener('load', () => {
+  purgeExpiredTrash().catch(err => console.error(err));
+});
 window.addEventListener('load', displayNotes);
+// Where location access was already granted, find the position on opening
+// so reminders for this spot come up without a tap. A share sets the position
+// itself, and a fix arriving later must not move the shared pin.
+window.addEventListener('load', async () => {
+  if (openedFromShare || !navigator.permissions || !navigator.geolocation) {
+    return;
+  }
+  try {
+    const status = await navigator.permissions.query({ name: 'geolocation' });
+    if (status.state === 'granted') {
+      fetchLocation();
+    }
+  } catch (err) {
+    console.error(err);
+  }
+});
+window.addEventListener('load', renderCollections);
+window.addEventListener('load', resolvePendingPlaceNames);
+window.addEventListener('load', updateStorageInfo);
+window.addEventListener('load', syncNow);
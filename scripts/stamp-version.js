@@ -0,0 +1,52 @@
+// Stamp sw.js with a version derived from the app shell.
+//
+// The service worker caches the files in its ASSETS list under
+// `place-notes-<VERSION>`. VERSION is a hash of those files, so every build
+// that changes the shell installs into a cache of its own, and a build that
+// doesn't leaves sw.js, and so the installed worker, untouched.
+//
+// Run with `npm run stamp-version` after changing a shell file. The service
+// worker tests fail while VERSION doesn't match the files.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SW_PATH = path.join(ROOT, 'sw.js');
+const VERSION_LINE = /^const VERSION = '[^']*';$/m;
+
+// The ASSETS entries in sw.js, as files relative to the repository root.
+function shellFiles(source) {
+  const list = /^const ASSETS = \[([^\]]*)\];$/m.exec(source);
+  if (!list) {
+    throw new Error('sw.js has no ASSETS list');
+  }
+  const assets = list[1].match(/'[^']*'/g).map(asset => asset.slice(1, -1));
+  // './' is served as index.html.
+  return [...new Set(assets.map(asset => (asset === './' ? 'index.html' : path.normalize(asset))))].sort();
+}
+
+function shellVersion(source = fs.readFileSync(SW_PATH, 'utf8')) {
+  const hash = crypto.createHash('sha256');
+  shellFiles(source).forEach(file => {
+    hash.update(`${file}\n`);
+    hash.update(fs.readFileSync(path.join(ROOT, file)));
+  });
+  return hash.digest('hex').slice(0, 12);
+}
+
+function stampVersion() {
+  const source = fs.readFileSync(SW_PATH, 'utf8');
+  if (!VERSION_LINE.test(source)) {
+    throw new Error('sw.js has no VERSION line');
+  }
+  const version = shellVersion(source);
+  fs.writeFileSync(SW_PATH, source.replace(VERSION_LINE, `const VERSION = '${version}';`));
+  return version;
+}
+
+if (require.main === module) {
+  console.log(`sw.js VERSION ${stampVersion()}`);
+}
+
+module.exports = { shellFiles, shellVersion, stampVersion };
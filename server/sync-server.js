@@ -0,0 +1,126 @@
+// Reference sync server for Place Notes.
+//
+// Keeps notes in memory and speaks the small REST protocol the app uses:
+//
+//   GET    /notes?since=<cursor>  -> { notes: [...], cursor }
+//   PUT    /notes/:id             body: note       -> { note } or 409 { note }
+//   DELETE /notes/:id             body: { deletedAt } -> { note } or 409 { note }
+//
+// Every change gets an increasing sequence number and `cursor` is the latest
+// one, so clients only pull what changed since their last sync. Deleted notes
+// are kept as `{ id, deleted: true, updatedAt }` tombstones so other devices
+// learn about them. Conflicts are settled by the later `updatedAt`
+// (`createdAt` for notes never edited); a write older than the stored
+// version is refused with 409 and the stored version.
+//
+// Run with `npm run sync-server` (PORT defaults to 8787). Data is lost when
+// the process exits, so this is meant for tests and trying sync out.
+const http = require('http');
+
+function noteVersion(note) {
+  return note.updatedAt || note.createdAt || '';
+}
+
+function createSyncStore() {
+  const records = new Map();
+  let seq = 0;
+
+  return {
+    changesSince(since) {
+      const notes = [...records.values()]
+        .filter(r => r.seq > since)
+        .sort((a, b) => a.seq - b.seq)
+        .map(r => r.note);
+      return { notes, cursor: seq };
+    },
+    // Store `note` unless a newer version is already present. Returns the
+    // stored version and whether the write was accepted.
+    write(note) {
+      const key = String(note.id);
+      const existing = records.get(key);
+      if (existing && noteVersion(existing.note) > noteVersion(note)) {
+        return { accepted: false, note: existing.note };
+      }
+      records.set(key, { note, seq: ++seq });
+      return { accepted: true, note };
+    }
+  };
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function createSyncServer(store = createSyncStore()) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = /^\/notes(?:\/([^/]+))?$/.exec(url.pathname);
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return;
+    }
+    if (!match) {
+      send(res, 404, { error: 'Not found' });
+      return;
+    }
+    const id = match[1] && decodeURIComponent(match[1]);
+    try {
+      if (req.method === 'GET' && !id) {
+        send(res, 200, store.changesSince(Number(url.searchParams.get('since')) || 0));
+        return;
+      }
+      if (req.method === 'PUT' && id) {
+        const note = await readJson(req);
+        if (String(note.id) !== id || !note.id) {
+          send(res, 400, { error: 'Note id does not match the URL' });
+          return;
+        }
+        const result = store.write(note);
+        send(res, result.accepted ? 200 : 409, { note: result.note });
+        return;
+      }
+      if (req.method === 'DELETE' && id) {
+        const { deletedAt } = await readJson(req);
+        const numeric = /^\d+$/.test(id) ? Number(id) : id;
+        const tombstone = { id: numeric, deleted: true, updatedAt: deletedAt || new Date().toISOString() };
+        const result = store.write(tombstone);
+        send(res, result.accepted ? 200 : 409, { note: result.note });
+        return;
+      }
+      send(res, 405, { error: 'Method not allowed' });
+    } catch (err) {
+      send(res, 400, { error: err.message });
+    }
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8787;
+  createSyncServer().listen(port, () => {
+    console.log(`Place Notes sync server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createSyncServer, createSyncStore };
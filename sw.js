@@ -1,4 +1,8 @@
-const CACHE_NAME = 'place-notes-v1';
+// VERSION is a hash of the ASSETS files, written by `npm run stamp-version`.
+// Each build that changes them installs into its own cache, and the previous
+// one is removed once the new worker activates.
+const VERSION = '619b7a6ad399';
+const CACHE_NAME = `place-notes-${VERSION}`;
 const ASSETS = [
   './',
   './index.html',
@@ -8,27 +12,95 @@ const ASSETS = [
   './icons/icon-192.png',
   './icons/icon-512.png'
 ];
+const SHELL_URLS = new Set(ASSETS.map(asset => new URL(asset, self.location).href));
+// Content shared from other apps is posted to SHARE_TARGET_URL, as set in
+// the manifest's share_target, and kept in SHARE_CACHE for the page to read
+// at SHARED_CONTENT_URL. app.js uses the same names. Nothing else answers
+// SHARE_TARGET_URL, so a share sent while an older worker without this handler
+// is in control reaches the static host and fails.
+const SHARE_TARGET_URL = new URL('./share-target', self.location).href;
+const SHARE_CACHE = 'place-notes-share';
+const SHARED_CONTENT_URL = new URL('./shared-content', self.location).href;
+const SHARE_FIELDS = ['title', 'text', 'url'];
 
+// The new worker waits after installing. It takes over only when the page
+// posts SKIP_WAITING, after the user has accepted the update.
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => cache.addAll(ASSETS))
-      .then(() => self.skipWaiting())
+    caches.open(CACHE_NAME).then(cache => cache.addAll(ASSETS))
   );
 });
 
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
 self.addEventListener('activate', event => {
   event.waitUntil(
     caches.keys()
       .then(keys =>
-        Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k)))
+        Promise.all(keys.filter(k => k !== CACHE_NAME && k !== SHARE_CACHE).map(k => caches.delete(k)))
       )
       .then(() => self.clients.claim())
   );
 });
 
+/**
+ * Answer from the cache straight away and refresh the cached copy from the
+ * network in the background. Only successful same-origin responses are
+ * stored, so opaque or error responses never replace a good copy.
+ */
+function staleWhileRevalidate(event) {
+  const { request } = event;
+  const network = fetch(request).then(async response => {
+    if (response.ok && response.type === 'basic') {
+      const copy = response.clone();
+      const cache = await caches.open(CACHE_NAME);
+      await cache.put(request, copy);
+    }
+    return response;
+  });
+  return caches.match(request, { ignoreSearch: true }).then(cached => {
+    if (cached) {
+      event.waitUntil(network.catch(() => {}));
+      return cached;
+    }
+    return network;
+  });
+}
+
+// Keep the shared fields and send the browser on to the app, which fills
+// in a note from them. The 303 turns the POST into a GET of the page.
+async function receiveShare(request) {
+  const form = await request.formData();
+  const shared = {};
+  SHARE_FIELDS.forEach(field => {
+    const value = form.get(field);
+    if (typeof value === 'string' && value) {
+      shared[field] = value;
+    }
+  });
+  const cache = await caches.open(SHARE_CACHE);
+  await cache.put(SHARED_CONTENT_URL, new Response(JSON.stringify(shared), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+  return Response.redirect(new URL('./?share-target', self.location).href, 303);
+}
+
 self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request).then(resp => resp || fetch(event.request))
-  );
+  const { request } = event;
+  if (request.method === 'POST' && request.url === SHARE_TARGET_URL) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  const url = new URL(request.url);
+  url.search = '';
+  // Everything except the app shell, such as geocoding and sync requests,
+  // is left to the network and never cached.
+  if (request.method !== 'GET' || !SHELL_URLS.has(url.href)) {
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(event));
 });
@@ -3,45 +3,39 @@ const assert = require('node:assert');
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { createSyncServer } = require('../server/sync-server.js');
 
-function setup({ fetch: fetchImpl, alert: alertImpl, serviceWorker } = {}) {
+function setup({ fetch: fetchImpl, alert: alertImpl, serviceWorker, indexedDB: indexedDBImpl, caches: cachesImpl, storage = {}, url = 'http://localhost' } = {}) {
   const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
-  const dom = new JSDOM(html, { runScripts: 'dangerously', url: 'http://localhost' });
+  const dom = new JSDOM(html, { runScripts: 'dangerously', url });
   const { window } = dom;
+  // Seed localStorage as if a previous session had saved these entries.
+  Object.keys(storage).forEach(key => window.localStorage.setItem(key, storage[key]));
 
-  window.navigator.serviceWorker = serviceWorker || { register: () => Promise.resolve({ addEventListener() {} }) };
+  window.navigator.serviceWorker = serviceWorker || {
+    register: () => Promise.resolve({ addEventListener() {} }),
+    addEventListener() {}
+  };
   window.navigator.storage = { persist: () => Promise.resolve(true) };
   window.alert = alertImpl || (() => {});
 
-  window.indexedDB = {
-    open() {
-      const request = {};
-      setTimeout(() => {
-        const db = {
-          createObjectStore() {},
-          transaction() {
-            return {
-              objectStore() {
-                return {
-                  put() {},
-                  getAll() { return { onsuccess: null }; },
-                  delete() {}
-                };
-              },
-              oncomplete: null,
-              onerror: null
-            };
-          }
-        };
-        request.result = db;
-        request.onupgradeneeded && request.onupgradeneeded({ target: { result: db } });
-        request.onsuccess && request.onsuccess({ target: { result: db } });
-      }, 0);
-      return request;
-    }
-  };
+  // Each window gets its own in-memory IndexedDB so tests never share notes.
+  // Pass `indexedDB: null` to see how the app copes without it.
+  window.indexedDB = indexedDBImpl === undefined ? new IDBFactory() : indexedDBImpl;
+  window.IDBKeyRange = IDBKeyRange;
+
+  // jsdom lacks WebCrypto, TextEncoder and Blob.arrayBuffer(), so lend it Node's.
+  Object.defineProperty(window, 'crypto', { value: globalThis.crypto, configurable: true });
+  window.TextEncoder = TextEncoder;
+  window.TextDecoder = TextDecoder;
+  window.Blob = Blob;
+  window.structuredClone = structuredClone;
 
   window.fetch = fetchImpl || (() => Promise.resolve({ json: () => [] }));
+  if (cachesImpl) {
+    window.caches = cachesImpl;
+  }
 
   const appJs = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
   window.eval(appJs);
@@ -50,6 +44,41 @@ function setup({ fetch: fetchImpl, alert: alertImpl, serviceWorker } = {}) {
   return window;
 }
 
+// Let pending IndexedDB requests, and the handlers they trigger, finish.
+async function settle() {
+  for (let i = 0; i < 100; i++) {
+    await new Promise(r => setImmediate(r));
+  }
+}
+
+// Ways to open the app on each note store. Without IndexedDB the app keeps
+// notes in memory; the error it logs about that is expected here.
+const appBackends = {
+  indexedDB: options => setup(options),
+  memory: options => {
+    const win = setup({ ...options, indexedDB: null });
+    const logError = win.console.error.bind(win.console);
+    win.console.error = (err, ...rest) => {
+      if (!(err && err.message === 'IndexedDB is not available')) {
+        logError(err, ...rest);
+      }
+    };
+    return win;
+  }
+};
+
+// Register a test of app behaviour that reads and writes notes once for each
+// note store. `fn` receives a function that opens the app like setup() does,
+// and the test context.
+function testEachStore(name, options, fn) {
+  if (typeof options === 'function') {
+    [options, fn] = [{}, options];
+  }
+  for (const [backend, open] of Object.entries(appBackends)) {
+    test(`${name} (${backend} store)`, options, t => fn(open, t));
+  }
+}
+
 test('search sets selected coordinates', async () => {
   const fetchStub = () => Promise.resolve({ json: () => [{ lat: '1', lon: '2', display_name: 'Foo' }] });
   const win = setup({ fetch: fetchStub });
@@ -73,7 +102,7 @@ test('adding note after remote search uses coordinates', async () => {
   win.document.getElementById('title').value = 't';
   win.document.getElementById('body').value = 'b';
   win.document.getElementById('noteForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
-  await new Promise(r => setTimeout(r, 0));
+  await settle();
 
   assert.equal(notes.length, 1);
   assert.equal(notes[0].lat, 3);
@@ -117,7 +146,7 @@ test('search result cleared after failed note save', async () => {
   win.document.getElementById('title').value = 't';
   win.document.getElementById('body').value = 'b';
   win.document.getElementById('noteForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
-  await new Promise(r => setTimeout(r, 0));
+  await settle();
 
   assert.equal(win.searchResult.textContent, '');
   assert.equal(alertMsg, 'Failed to save note');
@@ -204,10 +233,10 @@ test('clicking add note triggers geolocation when none fetched', async () => {
   assert.deepEqual(win.locationStore.getCurrent().coords, { latitude: 13, longitude: 14 });
 });
 
-test('service worker update prompts for reload', async () => {
-  let alertMsg = '';
+test('service worker update waits for the user to reload', async () => {
   let updateHandler;
   let stateHandler;
+  const messages = [];
   const reg = {
     addEventListener(type, handler) {
       if (type === 'updatefound') updateHandler = handler;
@@ -216,20 +245,2085 @@ test('service worker update prompts for reload', async () => {
       state: 'installing',
       addEventListener(type, handler) {
         if (type === 'statechange') stateHandler = handler;
-      }
+      },
+      postMessage(message) { messages.push(message); }
     }
   };
   const serviceWorker = {
     register: () => Promise.resolve(reg),
+    addEventListener() {},
     controller: {}
   };
-  setup({ alert: msg => { alertMsg = msg; }, serviceWorker });
+  const win = setup({ alert: () => assert.fail('no alert expected'), serviceWorker });
+  const banner = win.document.getElementById('updateBanner');
 
   await new Promise(r => setTimeout(r, 0));
   updateHandler();
+  assert.equal(banner.hidden, true);
   reg.installing.state = 'installed';
   stateHandler();
+  assert.equal(banner.hidden, false);
+  assert.deepEqual(messages, []);
+
+  win.document.getElementById('updateReloadBtn').click();
+  assert.deepEqual(messages, [{ type: 'SKIP_WAITING' }]);
+});
+
+test('a worker left waiting by an earlier visit shows the banner', async () => {
+  const serviceWorker = {
+    register: () => Promise.resolve({ waiting: { postMessage() {} }, addEventListener() {} }),
+    addEventListener() {},
+    controller: {}
+  };
+  const win = setup({ serviceWorker });
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal(win.document.getElementById('updateBanner').hidden, false);
+});
+
+test('editing a note keeps its id and records a revision', async () => {
+  const saved = [];
+  const win = setup();
+  const note = { id: 1, title: 'Gate', body: 'code 1234', lat: 1, lon: 2, createdAt: '2024-01-01T00:00:00.000Z' };
+  win.getNotesByRadius = async () => [note];
+  win.addNote = async n => { saved.push(n); };
+  win.locationStore.setCurrent({ coords: { latitude: 1, longitude: 2 } });
+  await win.displayNotes();
+
+  win.document.querySelector('.note-edit').dispatchEvent(new win.Event('click', { bubbles: true }));
+  assert.equal(win.document.getElementById('noteForm').style.display, 'block');
+  assert.equal(win.document.getElementById('title').value, 'Gate');
+  assert.equal(win.document.getElementById('saveNoteBtn').textContent, 'Save note');
+
+  win.document.getElementById('body').value = 'code 4321';
+  win.document.getElementById('noteForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await new Promise(r => setTimeout(r, 0));
+
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].id, 1);
+  assert.equal(saved[0].createdAt, note.createdAt);
+  assert.equal(saved[0].body, 'code 4321');
+  assert.ok(saved[0].updatedAt);
+  assert.equal(saved[0].revisions.length, 1);
+  assert.equal(saved[0].revisions[0].body, 'code 1234');
+  assert.equal(win.document.getElementById('saveNoteBtn').textContent, 'Add note');
+});
+
+test('saving a note from before tags existed without changes is not an edit', () => {
+  const win = setup();
+  const note = { id: 1, title: 'Gate', body: 'code 1234', lat: 1, lon: 2, createdAt: '2024-01-01T00:00:00.000Z' };
+  assert.equal(win.reviseNote(note, { title: 'Gate', body: 'code 1234', tags: [] }), note);
+  assert.deepEqual(win.reviseNote(note, { title: 'Gate', body: 'code 1234', tags: ['door'] }).tags, ['door']);
+});
+
+test('restoring a revision keeps the replaced content in history', async () => {
+  const saved = [];
+  const win = setup();
+  const note = {
+    id: 1,
+    title: 'New',
+    body: 'new body',
+    lat: 1,
+    lon: 2,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-02T00:00:00.000Z',
+    revisions: [{ title: 'Old', body: 'old body', savedAt: '2024-01-01T00:00:00.000Z' }]
+  };
+  win.getNotesByRadius = async () => [note];
+  win.addNote = async n => { saved.push(n); };
+  win.locationStore.setCurrent({ coords: { latitude: 1, longitude: 2 } });
+  await win.displayNotes();
+
+  const restore = win.document.querySelector('.note-history button');
+  restore.dispatchEvent(new win.Event('click', { bubbles: true }));
+  await new Promise(r => setTimeout(r, 0));
+
+  assert.equal(saved[0].title, 'Old');
+  assert.equal(saved[0].body, 'old body');
+  assert.deepEqual(saved[0].revisions.map(r => r.title), ['Old', 'New']);
+});
+
+test('cancelling an edit returns the form to add mode', async () => {
+  const win = setup();
+  win.openEditForm({ id: 1, title: 't', body: 'b', lat: 0, lon: 0 });
+  win.document.getElementById('cancelNoteBtn').dispatchEvent(new win.Event('click', { bubbles: true }));
+  assert.equal(win.document.getElementById('saveNoteBtn').textContent, 'Add note');
+  assert.equal(win.document.getElementById('title').value, '');
+});
+
+test('geohash encodes known coordinates', () => {
+  const win = setup();
+  assert.equal(win.geohashEncode(57.64911, 10.40744, 11), 'u4pruydqqvj');
+  assert.equal(win.geohashEncode(-33.8688, 151.2093, 5), 'r3gx2');
+});
+
+test('geohash coverage stays small and falls back near the poles', () => {
+  const win = setup();
+  const cells = win.geohashCoverage(47.6062, -122.3321, 100);
+  assert.ok(cells.length > 0 && cells.length <= 16);
+  assert.ok(cells.every(c => c.length === cells[0].length));
+  assert.equal(win.geohashCoverage(89.9999, 0, 1000), null);
+  assert.equal(win.geohashCoverage(0, 0, 20000e3), null);
+});
+
+test('radius query finds notes across cell and antimeridian boundaries', async () => {
+  const win = setup();
+  // 0.0005 degrees of latitude is roughly 55 m.
+  await win.addNote({ id: 1, title: 'a', body: '', lat: 0.0002, lon: 0.0002 });
+  await win.addNote({ id: 2, title: 'b', body: '', lat: -0.0002, lon: -0.0002 });
+  await win.addNote({ id: 3, title: 'far', body: '', lat: 0.01, lon: 0.01 });
+  await win.addNote({ id: 4, title: 'east', body: '', lat: 10, lon: 179.9999 });
+  const near = await win.getNotesByRadius(0, 0, 100);
+  assert.deepEqual(near.map(n => n.id).sort(), [1, 2]);
+  const wrapped = await win.getNotesByRadius(10, -179.9999, 100);
+  assert.deepEqual(wrapped.map(n => n.id), [4]);
+});
+
+test('upgrading from version 1 backfills the geohash index', async () => {
+  const factory = new IDBFactory();
+  await new Promise((resolve, reject) => {
+    const req = factory.open('notes-db', 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore('notes', { keyPath: 'id' });
+      store.put({ id: 1, title: 'old', body: '', lat: 47.6062, lon: -122.3321 });
+    };
+    req.onsuccess = () => { req.result.close(); resolve(); };
+    req.onerror = () => reject(req.error);
+  });
+
+  const win = setup({ indexedDB: factory });
+  const near = await win.getNotesByRadius(47.6062, -122.3321, 50);
+  assert.equal(near.length, 1);
+  assert.equal(near[0].geohash, win.geohashEncode(47.6062, -122.3321));
+});
+
+test('walk mode follows the position and alerts once per note', async () => {
+  const win = setup();
+  await win.addNote({ id: 1, title: 'Hinges', body: '', lat: 10, lon: 20 });
+  let onPosition;
+  let cleared;
+  win.navigator.geolocation = {
+    watchPosition(success) { onPosition = success; return 42; },
+    clearWatch(id) { cleared = id; }
+  };
+  const walkBtn = win.document.getElementById('walkBtn');
+  walkBtn.dispatchEvent(new win.Event('click', { bubbles: true }));
+  assert.equal(walkBtn.getAttribute('aria-pressed'), 'true');
+
+  onPosition({ coords: { latitude: 10.0001, longitude: 20 }, timestamp: 0 });
+  await settle();
+  assert.deepEqual(win.locationStore.getCurrent().coords, { latitude: 10.0001, longitude: 20 });
+  assert.deepEqual(win.locationStore.getSelected().coords, { latitude: 10.0001, longitude: 20 });
+  const banner = win.document.getElementById('proximityAlert');
+  assert.equal(banner.hidden, false);
+  assert.equal(win.document.getElementById('proximityAlertText').textContent, 'Hinges is 11 m away');
+  assert.match(win.document.getElementById('notesList').textContent, /Hinges/);
+
+  banner.hidden = true;
+  onPosition({ coords: { latitude: 10, longitude: 20 }, timestamp: 1 });
+  await settle();
+  assert.equal(banner.hidden, true);
+  assert.deepEqual(win.locationStore.getSelected().coords, { latitude: 10, longitude: 20 });
+
+  // A place chosen for the note form stays put as the walk goes on.
+  win.selectPlace({ lat: 47.6, lon: -122.3, name: 'Pier 52' });
+  onPosition({ coords: { latitude: 10.0002, longitude: 20 }, timestamp: 2 });
+  await settle();
+  assert.deepEqual(win.locationStore.getSelected().coords, { latitude: 47.6, longitude: -122.3 });
+  assert.deepEqual(win.locationStore.getCurrent().coords, { latitude: 10.0002, longitude: 20 });
+
+  walkBtn.dispatchEvent(new win.Event('click', { bubbles: true }));
+  assert.equal(cleared, 42);
+  assert.equal(walkBtn.getAttribute('aria-pressed'), 'false');
+});
+
+function pointer(win, target, type, x, y) {
+  target.dispatchEvent(new win.MouseEvent(type, { bubbles: true, clientX: x, clientY: y }));
+}
+
+test('map view draws notes around the current position', async () => {
+  const win = setup();
+  await win.addNote({ id: 1, title: 'North', body: 'up here', lat: 0.0005, lon: 0 });
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  win.document.getElementById('mapViewBtn').dispatchEvent(new win.Event('click', { bubbles: true }));
+  await settle();
+
+  assert.equal(win.document.getElementById('notesList').hidden, true);
+  const dot = win.document.querySelector('#notesMap .map-note');
+  assert.equal(Number(dot.getAttribute('cx')), 150);
+  // 0.0005 degrees north is about 56 m, drawn above the centre at 1 m per unit.
+  assert.equal(Math.round(Number(dot.getAttribute('cy'))), 94);
+  assert.equal(win.document.querySelector('#notesMap .map-scale-label').textContent, '50 m');
+  assert.equal(win.document.querySelector('#notesMap .map-north-label').textContent, 'N');
+
+  pointer(win, dot, 'pointerdown', 150, 94);
+  pointer(win, dot, 'pointerup', 150, 94);
+  const panel = win.document.getElementById('mapNote');
+  assert.equal(panel.hidden, false);
+  assert.match(panel.textContent, /North/);
+});
+
+test('tapping empty map space selects that position', async () => {
+  const win = setup();
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  win.document.getElementById('mapViewBtn').dispatchEvent(new win.Event('click', { bubbles: true }));
+  await settle();
+
+  const bg = win.document.querySelector('#notesMap .map-bg');
+  pointer(win, bg, 'pointerdown', 150, 50);
+  pointer(win, bg, 'pointerup', 150, 50);
+  const { latitude, longitude } = win.locationStore.getSelected().coords;
+  assert.ok(Math.abs(distanceNorth(latitude) - 100) < 0.01);
+  assert.equal(longitude, 0);
+});
+
+function distanceNorth(lat) {
+  return lat * Math.PI * 6371e3 / 180;
+}
+
+test('map zooms with buttons and pans by dragging', async () => {
+  const win = setup();
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  win.document.getElementById('mapViewBtn').dispatchEvent(new win.Event('click', { bubbles: true }));
+  win.document.getElementById('mapZoomOut').dispatchEvent(new win.Event('click', { bubbles: true }));
+  await settle();
+  assert.equal(win.document.querySelector('#notesMap .map-scale-label').textContent, '100 m');
+
+  const bg = win.document.querySelector('#notesMap .map-bg');
+  pointer(win, bg, 'pointerdown', 150, 150);
+  pointer(win, bg, 'pointermove', 150, 200);
+  pointer(win, bg, 'pointerup', 150, 200);
+  await settle();
+  assert.equal(win.locationStore.getSelected(), undefined);
+
+  // Dragging down by 50 units at 2 m per unit moves the view 100 m north,
+  // so a tap in the middle now selects a spot 100 m north of the device.
+  const moved = win.document.querySelector('#notesMap .map-bg');
+  pointer(win, moved, 'pointerdown', 150, 150);
+  pointer(win, moved, 'pointerup', 150, 150);
+  assert.ok(Math.abs(distanceNorth(win.locationStore.getSelected().coords.latitude) - 100) < 0.01);
+});
+
+const sampleNotes = [
+  { id: 1, title: 'Dock <B>', body: 'Ring & wait', lat: 47.6062, lon: -122.3321, createdAt: '2024-01-01T00:00:00.000Z' },
+  { id: 2, title: 'Gate', body: '', lat: -33.8688, lon: 151.2093, createdAt: '2024-02-01T00:00:00.000Z' }
+];
+
+for (const serializer of ['notesToGeoJSON', 'notesToGPX', 'notesToKML']) {
+  test(`${serializer} output parses back to the same notes`, () => {
+    const win = setup();
+    const text = win[serializer](sampleNotes);
+    const parsed = win.parseNotesFile(text);
+    assert.equal(parsed.length, 2);
+    assert.equal(parsed[0].title, 'Dock <B>');
+    assert.equal(parsed[0].body, 'Ring & wait');
+    assert.equal(parsed[0].lat, 47.6062);
+    assert.equal(parsed[0].lon, -122.3321);
+    assert.equal(parsed[1].createdAt, '2024-02-01T00:00:00.000Z');
+  });
+}
+
+testEachStore('importing the same file twice does not duplicate notes', async open => {
+  const win = open();
+  const gpx = win.notesToGPX(sampleNotes);
+  const first = await win.importNotes(gpx);
+  const second = await win.importNotes(gpx);
+  assert.equal(first.imported, 2);
+  assert.equal(second.imported, 0);
+  assert.equal(second.skipped, 2);
+  assert.equal((await win.getAllNotes()).length, 2);
+});
+
+testEachStore('importing another version of a saved note keeps the newer one or adds a copy', async open => {
+  const win = open();
+  const saved = { id: 1, title: 'Dock', body: 'Old gate code', lat: 47.6, lon: -122.3, createdAt: '2024-01-01T00:00:00.000Z' };
+  await win.addNote({ ...saved, updatedAt: '2024-03-01T00:00:00.000Z' });
+  const versions = updatedAt => win.notesToGeoJSON([{ ...saved, body: `Code as of ${updatedAt}`, updatedAt }]);
+
+  const older = await win.importNotes(versions('2024-02-01T00:00:00.000Z'));
+  assert.equal(older.outdated, 1);
+  assert.equal((await win.getNote(1)).body, 'Old gate code');
+
+  const newer = await win.importNotes(versions('2024-04-01T00:00:00.000Z'));
+  assert.equal(newer.updated, 1);
+  assert.equal((await win.getNote(1)).body, 'Code as of 2024-04-01T00:00:00.000Z');
+
+  const undated = await win.importNotes(win.notesToGeoJSON([{ id: 1, title: 'Dock', body: 'Hand edited', lat: 47.6, lon: -122.3 }]));
+  assert.equal(undated.copied, 1);
+  assert.equal(undated.imported, 1);
+  const notes = await win.getAllNotes();
+  assert.equal(notes.length, 2);
+  assert.ok(notes.some(n => n.id !== 1 && n.body === 'Hand edited'));
+});
+
+testEachStore('import reports invalid coordinates and keeps valid entries', async open => {
+  const win = open();
+  const geojson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [10, 95] }, properties: { name: 'Bad' } },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [10, 45] }, properties: { name: 'Good' } }
+    ]
+  });
+  const result = await win.importNotes(geojson);
+  assert.equal(result.imported, 1);
+  assert.deepEqual(result.errors, ['Entry 1: latitude must be a number between -90 and 90']);
+  const notes = await win.getAllNotes();
+  assert.equal(notes[0].title, 'Good');
+  assert.throws(() => win.parseNotesFile('<html></html>'), /not valid GeoJSON, GPX or KML/);
+});
+
+testEachStore('import rejects notes whose other fields have the wrong shape', async open => {
+  const win = open();
+  win.locationStore.setCurrent({ coords: { latitude: 45, longitude: 10 } });
+  const feature = (name, properties) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [10, 45] },
+    properties: { name, ...properties }
+  });
+  const geojson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      feature('Tags', { tags: 'oops' }),
+      feature('Expiry', { expiryDate: 20991231 }),
+      feature('Due', { dueDate: '2099-12-31T00:00:00Z' }),
+      feature('Accuracy', { accuracy: '5' }),
+      feature('Revisions', { revisions: [{ title: 'Old' }] }),
+      feature('Created', { createdAt: 'yesterday' }),
+      feature('Good', { tags: ['dock'], expiryDate: '2099-12-31', accuracy: 5, revisions: [{ title: 'Old', body: '' }] })
+    ]
+  });
+  const result = await win.importNotes(geojson);
+  assert.equal(result.imported, 1);
+  assert.deepEqual(result.errors, [
+    'Entry 1: tags must be a list of text',
+    'Entry 2: expiryDate must be a date like 2024-05-31',
+    'Entry 3: dueDate must be a date like 2024-05-31',
+    'Entry 4: accuracy must be a number',
+    'Entry 5: revisions must be a list of earlier versions with a title and body',
+    'Entry 6: createdAt must be a date and time'
+  ]);
+
+  await win.displayNotes();
+  assert.deepEqual([...win.document.querySelectorAll('#notesList .note-title')].map(el => el.textContent), ['Good']);
+});
+
+test('note search matches word prefixes anywhere and ranks title hits first', async () => {
+  const win = setup();
+  await win.addNote({ id: 1, title: 'Lunch', body: 'Parking garage on level 3', lat: 10, lon: 10, createdAt: '2024-01-01' });
+  await win.addNote({ id: 2, title: 'Parking garage', body: 'Entrance on 5th', lat: -40, lon: 170, createdAt: '2024-01-02' });
+  await win.addNote({ id: 3, title: 'Café', body: 'Good coffee', lat: 0, lon: 0, createdAt: '2024-01-03' });
+
+  const results = await win.searchNotes('park GARAGE');
+  assert.deepEqual(results.map(r => r.note.id), [2, 1]);
+  assert.deepEqual((await win.searchNotes('cafe')).map(r => r.note.id), [3]);
+  assert.deepEqual(await win.searchNotes('parking zebra'), []);
+
+  const position = { coords: { latitude: 10, longitude: 10 } };
+  const nearest = await win.searchNotes('parking', { sort: 'distance', position });
+  assert.deepEqual(nearest.map(r => r.note.id), [1, 2]);
+});
+
+test('note search results highlight matching words', async () => {
+  const win = setup();
+  await win.addNote({ id: 1, title: 'Parking <b>garage</b>', body: 'Level 3 parking', lat: 10, lon: 10 });
+  win.document.getElementById('noteSearchQuery').value = 'park';
+  win.document.getElementById('noteSearchForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await settle();
+
+  const results = win.document.getElementById('noteSearchResults');
+  const marks = Array.from(results.querySelectorAll('mark')).map(m => m.textContent);
+  assert.deepEqual(marks, ['Parking', 'parking']);
+  assert.equal(results.querySelector('b'), null);
+  assert.match(results.querySelector('.note-title').textContent, /<b>garage<\/b>/);
+});
+
+testEachStore('tags are saved from the form and indexed', async open => {
+  const win = open();
+  win.locationStore.setSelected({ coords: { latitude: 5, longitude: 5 } });
+  win.document.getElementById('title').value = 'Hardware store';
+  win.document.getElementById('tags').value = 'Errands, shops,  errands ,';
+  win.document.getElementById('noteForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await settle();
+
+  const [note] = await win.getNotesByTag('shops');
+  assert.deepEqual(Array.from(note.tags), ['errands', 'shops']);
+  assert.deepEqual(Array.from(await win.getAllTags()), ['errands', 'shops']);
+  assert.equal(win.document.getElementById('tags').value, '');
+});
+
+test('tag suggestions complete the tag being typed', async () => {
+  const win = setup();
+  await win.addNote({ id: 1, title: 'a', body: '', tags: ['errands', 'eats', 'work'], lat: 0, lon: 0 });
+  const input = win.document.getElementById('tags');
+  input.value = 'work, e';
+  input.dispatchEvent(new win.Event('focus'));
+  await settle();
+  const options = Array.from(win.document.querySelectorAll('#tagSuggestions option')).map(o => o.value);
+  assert.deepEqual(options, ['work, eats', 'work, errands']);
+});
+
+test('tag filter narrows the nearby list and keeps untagged notes loading', async () => {
+  const factory = new IDBFactory();
+  await new Promise((resolve, reject) => {
+    const req = factory.open('notes-db', 2);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore('notes', { keyPath: 'id' });
+      store.createIndex('geohash', 'geohash');
+      store.put({ id: 1, title: 'Untagged', body: '', lat: 1, lon: 1, geohash: 's00twy01m' });
+    };
+    req.onsuccess = () => { req.result.close(); resolve(); };
+    req.onerror = () => reject(req.error);
+  });
+  const win = setup({ indexedDB: factory });
+  await win.addNote({ id: 2, title: 'Tagged', body: '', tags: ['food'], lat: 1, lon: 1 });
+  win.locationStore.setCurrent({ coords: { latitude: 1, longitude: 1 } });
+  await win.displayNotes();
+  const list = win.document.getElementById('notesList');
+  assert.equal(list.children.length, 2);
+
+  win.document.querySelector('#tagFilter .tag-chip').dispatchEvent(new win.Event('click', { bubbles: true }));
+  await settle();
+  assert.equal(list.children.length, 1);
+  assert.match(list.textContent, /Tagged/);
+  assert.doesNotMatch(list.textContent, /Untagged/);
+});
+
+test('browsing a tag lists notes from every location', async () => {
+  const win = setup();
+  await win.addNote({ id: 1, title: 'Here', body: '', tags: ['trip'], lat: 1, lon: 1 });
+  await win.addNote({ id: 2, title: 'Far away', body: '', tags: ['trip'], lat: -40, lon: 170 });
+  win.locationStore.setCurrent({ coords: { latitude: 1, longitude: 1 } });
+  await win.displayNotes();
+  win.document.querySelector('#notesList .note-tags .tag-chip').dispatchEvent(new win.Event('click', { bubbles: true }));
+  await settle();
+  assert.equal(win.document.getElementById('tagBrowse').hidden, false);
+  assert.equal(win.document.getElementById('tagBrowseTitle').textContent, 'Notes tagged #trip');
+  assert.match(win.document.getElementById('tagBrowseList').textContent, /Far away/);
+});
+
+test('settings persist and control radius, sort and units', async () => {
+  const win = setup({
+    storage: { 'place-notes-settings': JSON.stringify({ radius: 250, sort: 'title', units: 'imperial' }) }
+  });
+  assert.equal(win.document.getElementById('radiusSelect').value, '250');
+  assert.equal(win.document.getElementById('sortSelect').value, 'title');
+  await win.addNote({ id: 1, title: 'Zoo', body: '', lat: 0.0001, lon: 0 });
+  await win.addNote({ id: 2, title: 'Apple', body: '', lat: 0.002, lon: 0 });
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  await win.displayNotes();
+
+  const items = Array.from(win.document.querySelectorAll('#notesList li'));
+  assert.deepEqual(items.map(li => li.querySelector('.note-title').textContent), ['Apple', 'Zoo']);
+  assert.match(items[0].querySelector('.note-meta').textContent, /^ - 730 ft/);
+
+  const sort = win.document.getElementById('sortSelect');
+  sort.value = 'distance';
+  sort.dispatchEvent(new win.Event('change'));
+  const saved = JSON.parse(win.localStorage.getItem('place-notes-settings'));
+  assert.equal(saved.sort, 'distance');
+  assert.equal(saved.units, 'imperial');
+});
+
+test('formatDistance switches units at sensible thresholds', () => {
+  const win = setup();
+  assert.equal(win.formatDistance(42, 'metric'), '42 m');
+  assert.equal(win.formatDistance(1500, 'metric'), '1.5 km');
+  assert.equal(win.formatDistance(25000, 'metric'), '25 km');
+  assert.equal(win.formatDistance(100, 'imperial'), '328 ft');
+  assert.equal(win.formatDistance(1609.344 * 2, 'imperial'), '2.0 mi');
+});
+
+test('list counts notes just outside the radius and widens on tap', async () => {
+  const win = setup();
+  await win.addNote({ id: 1, title: 'Near', body: '', lat: 0.0005, lon: 0 });
+  await win.addNote({ id: 2, title: 'Beyond', body: '', lat: 0.0015, lon: 0 });
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  await win.displayNotes();
+
+  const list = win.document.getElementById('notesList');
+  const hint = win.document.getElementById('radiusHint');
+  assert.equal(list.children.length, 1);
+  assert.match(hint.textContent, /1 more note within 250 m/);
+
+  hint.querySelector('button').dispatchEvent(new win.Event('click', { bubbles: true }));
+  await settle();
+  assert.equal(list.children.length, 2);
+  assert.equal(win.document.getElementById('radiusSelect').value, '250');
+  assert.equal(win.settingsStore.get('radius'), 250);
+});
+
+test('several geocoding results are listed before one is selected', async () => {
+  let requested;
+  const fetchStub = url => {
+    requested = url;
+    return Promise.resolve({
+      json: () => [
+        { lat: '39.8', lon: '-89.6', display_name: 'Springfield, Illinois' },
+        { lat: '37.2', lon: '-93.3', display_name: 'Springfield, Missouri' }
+      ]
+    });
+  };
+  const win = setup({ fetch: fetchStub });
+  win.document.getElementById('searchQuery').value = 'springfield';
+  win.document.getElementById('searchForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await new Promise(r => setTimeout(r, 0));
+
+  assert.match(requested, /limit=5/);
+  assert.equal(win.locationStore.getSelected(), undefined);
+  const choices = win.document.querySelectorAll('#searchCandidates button');
+  assert.deepEqual(Array.from(choices).map(b => b.textContent), ['Springfield, Illinois', 'Springfield, Missouri']);
+
+  choices[1].dispatchEvent(new win.Event('click', { bubbles: true }));
+  assert.deepEqual(win.locationStore.getSelected().coords, { latitude: 37.2, longitude: -93.3 });
+  assert.equal(win.searchResult.textContent, 'Springfield, Missouri');
+  assert.equal(win.document.querySelectorAll('#searchCandidates li').length, 0);
+});
+
+test('repeat searches are answered from the cache without the network', async () => {
+  let calls = 0;
+  const fetchStub = () => {
+    calls++;
+    if (calls > 1) {
+      return Promise.reject(new Error('offline'));
+    }
+    return Promise.resolve({ json: () => [{ lat: '1', lon: '2', display_name: 'Cached' }] });
+  };
+  const win = setup({ fetch: fetchStub });
+  let now = 1000;
+  win.Date.now = () => now;
+  win.document.getElementById('searchQuery').value = 'cached';
+  win.document.getElementById('searchForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await new Promise(r => setTimeout(r, 0));
+  win.locationStore.setSelected(undefined);
+
+  win.document.getElementById('searchQuery').value = 'Cached';
+  win.document.getElementById('searchForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal(calls, 1);
+  assert.equal(win.searchResult.textContent, 'Cached');
+  assert.deepEqual(win.locationStore.getSelected().coords, { latitude: 1, longitude: 2 });
+});
+
+test('searches that found nothing are asked again', async () => {
+  let calls = 0;
+  const fetchStub = () => {
+    calls++;
+    return Promise.resolve({ json: () => (calls === 1 ? [] : [{ lat: '1', lon: '2', display_name: 'Found later' }]) });
+  };
+  const win = setup({ fetch: fetchStub });
+  let now = 1000;
+  win.Date.now = () => now;
+  win.document.getElementById('searchQuery').value = 'bakery';
+  win.document.getElementById('searchForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal(win.readGeocodeCache('bakery'), undefined);
+
+  now += 5000;
+  win.document.getElementById('searchForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal(calls, 2);
+  assert.equal(win.searchResult.textContent, 'Found later');
+});
+
+test('photon provider at a custom server is used when configured', async () => {
+  let requested;
+  const fetchStub = url => {
+    requested = url;
+    return Promise.resolve({
+      json: () => ({
+        features: [{
+          geometry: { coordinates: [13.4, 52.5] },
+          properties: { name: 'Alexanderplatz', city: 'Berlin', country: 'Germany' }
+        }]
+      })
+    });
+  };
+  const win = setup({
+    fetch: fetchStub,
+    storage: { 'place-notes-settings': JSON.stringify({ geocoder: 'photon', geocoderUrl: 'http://geo.local/' }) }
+  });
+  assert.equal(win.document.getElementById('geocoderSelect').value, 'photon');
+  win.document.getElementById('searchQuery').value = 'alex';
+  win.document.getElementById('searchForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal(requested, 'http://geo.local/api/?limit=5&q=alex');
+  assert.equal(win.searchResult.textContent, 'Alexanderplatz, Berlin, Germany');
+  assert.deepEqual(win.locationStore.getSelected().coords, { latitude: 52.5, longitude: 13.4 });
+});
+
+test('notes added after a search keep the result name', async () => {
+  const fetchStub = () => Promise.resolve({ json: () => [{ lat: '3', lon: '4', display_name: 'Pike Place Market, Seattle, WA' }] });
+  const notes = [];
+  const win = setup({ fetch: fetchStub });
+  win.addNote = async note => { notes.push(note); };
+  win.document.getElementById('searchQuery').value = 'pike';
+  win.document.getElementById('searchForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await new Promise(r => setTimeout(r, 0));
+  win.document.getElementById('title').value = 't';
+  win.document.getElementById('noteForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await settle();
+  assert.equal(notes[0].placeName, 'Pike Place Market, Seattle, WA');
+  assert.equal(notes[0].placeNamePending, undefined);
+});
+
+test('place name lookups made offline are filled in when back online', async () => {
+  let online = false;
+  const requests = [];
+  const fetchStub = url => {
+    requests.push(url);
+    if (!online) {
+      return Promise.reject(new TypeError('Failed to fetch'));
+    }
+    return Promise.resolve({ json: () => ({ display_name: 'Main Street, Springfield, USA' }) });
+  };
+  const win = setup({ fetch: fetchStub });
+  win.locationStore.setCurrent({ coords: { latitude: 5, longitude: 6 } });
+  win.locationStore.setSelected({ coords: { latitude: 5, longitude: 6 } });
+  win.document.getElementById('title').value = 'Offline note';
+  win.document.getElementById('noteForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await settle();
+
+  let [note] = await win.getAllNotes();
+  assert.equal(note.placeNamePending, true);
+  assert.match(requests[requests.length - 1], /\/reverse\?format=json&lat=5&lon=6$/);
+
+  online = true;
+  win.dispatchEvent(new win.Event('online'));
+  await settle();
+  [note] = await win.getAllNotes();
+  assert.equal(note.placeName, 'Main Street, Springfield, USA');
+  assert.equal(note.placeNamePending, undefined);
+  assert.match(win.document.getElementById('notesList').textContent, /Main Street, Springfield -/);
+});
+
+test('a note edited or trashed during a place name lookup is not overwritten', { timeout: 10000 }, async () => {
+  const answers = [];
+  const fetchStub = () => new Promise(resolve => answers.push(resolve));
+  const win = setup({ fetch: fetchStub });
+  await win.addNote({ id: 1, title: 'Edited', body: '', lat: 5, lon: 6, placeNamePending: true });
+  await win.addNote({ id: 2, title: 'Trashed', body: '', lat: 5, lon: 6, placeNamePending: true });
+  const lookups = win.resolvePendingPlaceNames();
+  await settle();
+
+  // The lookup for note 1 is waiting on the network: edit one note and
+  // trash the other meanwhile.
+  await win.addNote(win.reviseNote(await win.getNote(1), { body: 'Changed during the lookup' }));
+  await win.trashNote(2);
+  const place = { json: () => ({ display_name: 'Main Street' }) };
+  answers.shift()(place);
+  while (!answers.length) {
+    await new Promise(r => setTimeout(r, 50));
+  }
+  answers.shift()(place);
+  await lookups;
+
+  const note = await win.getNote(1);
+  assert.equal(note.body, 'Changed during the lookup');
+  assert.equal(note.placeNamePending, true);
+  const trashed = await win.getNote(2);
+  assert.ok(trashed.trashedAt);
+  assert.equal(trashed.placeName, undefined);
+});
+
+testEachStore('attachments are stored with a note and removed when it is deleted', async open => {
+  const win = open();
+  await win.addNote({ id: 1, title: 'Trailhead', body: '', lat: 0, lon: 0 });
+  await win.addNote({ id: 2, title: 'Other', body: '', lat: 0, lon: 0 });
+  const photo = new Blob(['jpeg bytes'], { type: 'image/jpeg' });
+  photo.name = 'sign.jpg';
+  const memo = new Blob(['ogg bytes!'], { type: 'audio/ogg' });
+  memo.name = 'memo.ogg';
+  await win.addAttachments(1, [photo, memo]);
+  await win.addAttachments(2, [memo]);
+
+  const attachments = await win.getAttachments(1);
+  assert.deepEqual(attachments.map(a => a.name), ['sign.jpg', 'memo.ogg']);
+  assert.equal(await win.getAttachmentUsage(), 30);
+
+  await win.deleteNote(1);
+  assert.equal((await win.getAttachments(1)).length, 0);
+  assert.equal((await win.getAttachments(2)).length, 1);
+  assert.equal(await win.getAttachmentUsage(), 10);
+});
+
+test('expanding a note shows its photos and audio', async () => {
+  const win = setup();
+  win.URL.createObjectURL = blob => `blob:${blob.type}`;
+  win.URL.revokeObjectURL = () => {};
+  await win.addNote({ id: 1, title: 'Site', body: 'Looks good', lat: 0, lon: 0 });
+  const photo = new Blob(['jpeg'], { type: 'image/jpeg' });
+  photo.name = 'wall.jpg';
+  const memo = new Blob(['ogg'], { type: 'audio/ogg' });
+  await win.addAttachments(1, [photo, memo]);
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  await win.displayNotes();
+
+  win.document.querySelector('#notesList .note-title').dispatchEvent(new win.Event('click', { bubbles: true }));
+  await settle();
+  const body = win.document.querySelector('#notesList .note-body');
+  assert.equal(body.style.display, 'block');
+  assert.equal(body.querySelector('img').getAttribute('src'), 'blob:image/jpeg');
+  assert.equal(body.querySelector('img').alt, 'wall.jpg');
+  assert.equal(body.querySelector('audio').getAttribute('src'), 'blob:audio/ogg');
+});
+
+test('storage info reports attachment usage against the quota', async () => {
+  const win = setup();
+  win.navigator.storage.estimate = () => Promise.resolve({ usage: 2048, quota: 1024 * 1024 });
+  await win.addAttachments(1, [new Blob([new Uint8Array(1536)], { type: 'audio/ogg' })]);
+  await win.updateStorageInfo();
+  assert.equal(
+    win.document.getElementById('storageInfo').textContent,
+    'Attachments use 1.5 KB (2.0 KB of 1.0 MB quota used in total)'
+  );
+});
+
+async function startSyncServer(t) {
+  const server = createSyncServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://localhost:${server.address().port}`;
+}
+
+// Set up a device syncing with `url` and wait for its initial sync.
+async function syncedDevice(t, url, open = setup) {
+  const win = open({ fetch, storage: { 'place-notes-settings': JSON.stringify({ syncUrl: url }) } });
+  t.after(() => win.close());
+  await settle();
+  const status = win.document.getElementById('syncStatus');
+  while (status.textContent === 'Syncing...') {
+    await new Promise(r => setTimeout(r, 5));
+  }
+  return win;
+}
+
+testEachStore('notes, edits and deletes sync between devices', { timeout: 10000 }, async (open, t) => {
+  const url = await startSyncServer(t);
+  const phone = await syncedDevice(t, url, open);
+  const laptop = await syncedDevice(t, url, open);
+
+  await phone.addNote({ id: 1, title: 'Dock', body: 'Bay 4', lat: 1, lon: 1, createdAt: '2024-01-01T00:00:00.000Z' });
+  await phone.syncNow();
+  await laptop.syncNow();
+  assert.equal((await laptop.getNote(1)).body, 'Bay 4');
+  assert.ok((await laptop.getNotesByRadius(1, 1, 10)).length, 'synced notes are indexed');
+
+  await laptop.addNote(laptop.reviseNote(await laptop.getNote(1), { body: 'Bay 5' }));
+  await laptop.syncNow();
+  await phone.syncNow();
+  assert.equal((await phone.getNote(1)).body, 'Bay 5');
+  assert.equal((await phone.getOutbox()).length, 0);
+
+  await phone.deleteNote(1);
+  await phone.syncNow();
+  await laptop.syncNow();
+  assert.equal(await laptop.getNote(1), undefined);
+});
+
+testEachStore('notes pushed from a device are not applied again when they come back', { timeout: 10000 }, async (open, t) => {
+  const url = await startSyncServer(t);
+  const phone = await syncedDevice(t, url, open);
+  await phone.addNote(await phone.attachToPlace({ id: 1, title: 'Dock', body: '', lat: 1, lon: 1, createdAt: '2024-01-01T00:00:00.000Z' }));
+  const saved = await phone.getNote(1);
+
+  let attached = 0;
+  const attachToPlace = phone.attachToPlace;
+  phone.attachToPlace = note => { attached++; return attachToPlace(note); };
+  await phone.syncNow();
+  assert.match(phone.document.getElementById('syncStatus').textContent, /^Synced/);
+  assert.equal(attached, 0);
+  assert.deepEqual(await phone.getNote(1), saved);
+});
+
+testEachStore('the later edit wins a sync conflict', { timeout: 10000 }, async (open, t) => {
+  const url = await startSyncServer(t);
+  const phone = await syncedDevice(t, url, open);
+  const laptop = await syncedDevice(t, url, open);
+  const note = { id: 1, title: 'Gate', body: 'code 1', lat: 0, lon: 0, createdAt: '2024-01-01T00:00:00.000Z' };
+  await phone.addNote(note);
+  await phone.syncNow();
+  await laptop.syncNow();
+
+  await laptop.addNote({ ...note, body: 'code 3', updatedAt: '2024-03-01T00:00:00.000Z' });
+  await phone.addNote({ ...note, body: 'code 2', updatedAt: '2024-02-01T00:00:00.000Z' });
+  await laptop.syncNow();
+  await phone.syncNow();
+  await laptop.syncNow();
+
+  assert.equal((await phone.getNote(1)).body, 'code 3');
+  assert.equal((await laptop.getNote(1)).body, 'code 3');
+});
+
+testEachStore('changes made before sync was switched on are uploaded', { timeout: 10000 }, async (open, t) => {
+  const url = await startSyncServer(t);
+  const win = open({ fetch });
+  t.after(() => win.close());
+  await win.addNote({ id: 7, title: 'Old', body: '', lat: 0, lon: 0, createdAt: '2024-01-01T00:00:00.000Z' });
+  assert.equal((await win.getOutbox()).length, 0);
+
+  const input = win.document.getElementById('syncUrl');
+  input.value = url;
+  input.dispatchEvent(new win.Event('change'));
+  const status = win.document.getElementById('syncStatus');
+  while (!status.textContent.startsWith('Synced')) {
+    await new Promise(r => setTimeout(r, 5));
+  }
+  const { notes } = await (await fetch(`${url}/notes?since=0`)).json();
+  assert.deepEqual(notes.map(n => n.title), ['Old']);
+  assert.equal(notes[0].geohash, undefined);
+});
+
+// Read a note as the store holds it, bypassing decryption.
+async function rawNote(win, id) {
+  return (await win.getNoteRecords()).find(record => record.id === id);
+}
+
+testEachStore('turning on encryption encrypts existing notes and keeps radius queries working', async open => {
+  const win = open();
+  await win.addNote({ id: 1, title: 'Gate code', body: '4321', lat: 10, lon: 10 });
+  await win.enableEncryption('correct horse');
+  await win.addNote({ id: 2, title: 'Client', body: '12 High St', lat: 10.0001, lon: 10 });
+
+  const raw = await rawNote(win, 1);
+  assert.equal(raw.title, undefined);
+  assert.equal(raw.body, undefined);
+  assert.ok(raw.enc);
+  assert.equal(raw.lat, 10);
+  assert.ok(raw.geohash);
+  assert.doesNotMatch(JSON.stringify(raw), /Gate code|4321/);
+
+  const nearby = await win.getNotesByRadius(10, 10, 100);
+  assert.deepEqual(nearby.map(n => n.title).sort(), ['Client', 'Gate code']);
+  assert.equal((await win.getNote(1)).body, '4321');
+});
 
-  assert.equal(alertMsg, 'New version available. Please reload.');
+testEachStore('locations can be encrypted too', async open => {
+  const win = open();
+  await win.addNote({ id: 1, title: 'Spot', body: '', lat: 10, lon: 10, placeName: 'Harbour' });
+  await win.addNote({ id: 2, title: 'Far', body: '', lat: 20, lon: 20 });
+  await win.enableEncryption('correct horse', { encryptLocation: true });
+
+  const raw = await rawNote(win, 1);
+  assert.equal(raw.lat, undefined);
+  assert.equal(raw.geohash, undefined);
+  assert.equal(raw.placeName, undefined);
+
+  const nearby = await win.getNotesByRadius(10, 10, 100);
+  assert.deepEqual(nearby.map(n => [n.title, n.placeName]), [['Spot', 'Harbour']]);
+});
+
+testEachStore('the app locks, rejects a wrong passphrase and unlocks with the right one', { timeout: 10000 }, async open => {
+  const win = open();
+  await win.addNote({ id: 1, title: 'Gate code', body: '4321', lat: 0, lon: 0 });
+  await win.enableEncryption('correct horse');
+  win.lockNotes();
+
+  const lockScreen = win.document.getElementById('lockScreen');
+  assert.equal(lockScreen.hidden, false);
+  await assert.rejects(win.getNote(1), /Notes are locked/);
+  assert.equal(win.notesList.textContent, 'Unlock to view notes');
+
+  win.document.getElementById('unlockPassphrase').value = 'wrong';
+  lockScreen.dispatchEvent(new win.Event('submit', { cancelable: true }));
+  await new Promise(r => setTimeout(r, 1500));
+  assert.equal(win.document.getElementById('unlockError').textContent, 'Wrong passphrase');
+  assert.equal(lockScreen.hidden, false);
+
+  await win.unlockNotes('correct horse');
+  assert.equal((await win.getNote(1)).title, 'Gate code');
+});
+
+test('a saved passphrase setup starts locked', () => {
+  const win = setup({ storage: { 'place-notes-crypto': JSON.stringify({ salt: '', iterations: 1, verifier: {} }) } });
+  assert.equal(win.document.getElementById('lockScreen').hidden, false);
+  assert.equal(win.document.getElementById('encryptionOn').hidden, false);
+});
+
+testEachStore('changing the passphrase re-encrypts notes and attachments', { timeout: 10000 }, async open => {
+  const win = open();
+  await win.addNote({ id: 1, title: 'Gate code', body: '4321', lat: 0, lon: 0 });
+  const photo = new Blob(['jpeg bytes'], { type: 'image/jpeg' });
+  photo.name = 'gate.jpg';
+  await win.addAttachments(1, [photo]);
+  await win.enableEncryption('correct horse');
+  await win.changePassphrase('correct horse', 'battery staple');
+  win.lockNotes();
+
+  await assert.rejects(win.unlockNotes('correct horse'), /Wrong passphrase/);
+  await win.unlockNotes('battery staple');
+  assert.equal((await win.getNote(1)).title, 'Gate code');
+  const [attachment] = await win.getAttachments(1);
+  assert.equal(attachment.name, 'gate.jpg');
+  assert.equal(await attachment.blob.text(), 'jpeg bytes');
+
+  await win.disableEncryption('battery staple');
+  assert.equal((await rawNote(win, 1)).title, 'Gate code');
+  assert.equal(win.localStorage.getItem('place-notes-crypto'), null);
+});
+
+// Open the app again on the same database and localStorage, as after the tab was closed.
+function reopen(win, factory) {
+  const storage = {};
+  for (let i = 0; i < win.localStorage.length; i++) {
+    const key = win.localStorage.key(i);
+    storage[key] = win.localStorage.getItem(key);
+  }
+  return setup({ indexedDB: factory, storage });
+}
+
+test('a passphrase change cut short is finished or undone to match the notes', { timeout: 20000 }, async () => {
+  const factory = new IDBFactory();
+  const win = setup({ indexedDB: factory });
+  await win.addNote({ id: 1, title: 'Gate code', body: '4321', lat: 0, lon: 0 });
+  await win.enableEncryption('correct horse');
+
+  // The tab closes after saving the new setup as pending but before the
+  // notes were rewritten: the old passphrase still works.
+  const { config } = await win.createCryptoConfig('battery staple', false);
+  win.writePendingCryptoChange(config);
+  const undone = reopen(win, factory);
+  await settle();
+  assert.equal(undone.localStorage.getItem('place-notes-crypto-pending'), null);
+  await undone.unlockNotes('correct horse');
+  assert.equal((await undone.getNote(1)).title, 'Gate code');
+
+  // Saving the new setup fails after the notes were rewritten: the app
+  // locks, and the new passphrase works once the change is settled.
+  const setItem = undone.localStorage.setItem.bind(undone.localStorage);
+  undone.Storage.prototype.setItem = function (key, value) {
+    if (key === 'place-notes-crypto') {
+      throw new Error('QuotaExceededError');
+    }
+    return setItem(key, value);
+  };
+  await assert.rejects(undone.changePassphrase('correct horse', 'battery staple'), /QuotaExceededError/);
+  assert.equal(undone.isLocked(), true);
+  const finished = reopen(undone, factory);
+  await settle();
+  assert.equal(finished.localStorage.getItem('place-notes-crypto-pending'), null);
+  await assert.rejects(finished.unlockNotes('correct horse'), /Wrong passphrase/);
+  await finished.unlockNotes('battery staple');
+  assert.equal((await finished.getNote(1)).body, '4321');
+});
+
+test('a passphrase change cut short is settled by the places and collections when there are no notes', { timeout: 20000 }, async () => {
+  const factory = new IDBFactory();
+  const win = setup({ indexedDB: factory });
+  await win.enableEncryption('correct horse', { encryptLocation: true });
+  await win.createCollection('Trip');
+  await win.attachToPlace({ lat: 1, lon: 2, placeName: 'Pier' });
+
+  // Cut short before the rewrite: the old passphrase still opens them.
+  const next = await win.createCryptoConfig('battery staple', true);
+  win.writePendingCryptoChange(next.config);
+  const undone = reopen(win, factory);
+  await settle();
+  await undone.unlockNotes('correct horse');
+  assert.deepEqual((await undone.getCollections()).map(c => c.name), ['Trip']);
+  assert.deepEqual((await undone.getPlaces()).map(p => p.name), ['Pier']);
+
+  // Cut short after the rewrite: the new one does.
+  await undone.reencodeAll(next.config, next.key);
+  undone.writePendingCryptoChange(next.config);
+  const finished = reopen(undone, factory);
+  await settle();
+  await assert.rejects(finished.unlockNotes('correct horse'), /Wrong passphrase/);
+  await finished.unlockNotes('battery staple');
+  assert.deepEqual((await finished.getCollections()).map(c => c.name), ['Trip']);
+  assert.deepEqual((await finished.getPlaces()).map(p => p.name), ['Pier']);
+});
+
+test('turning encryption off cut short before saving opens unlocked', { timeout: 20000 }, async () => {
+  const factory = new IDBFactory();
+  const win = setup({ indexedDB: factory });
+  await win.addNote({ id: 1, title: 'Gate code', body: '4321', lat: 0, lon: 0 });
+  await win.enableEncryption('correct horse');
+  await win.reencodeAll(null, null);
+  win.writePendingCryptoChange(null);
+
+  const reopened = reopen(win, factory);
+  await settle();
+  assert.equal(reopened.localStorage.getItem('place-notes-crypto'), null);
+  assert.equal(reopened.document.getElementById('lockScreen').hidden, true);
+  assert.equal((await reopened.getNote(1)).title, 'Gate code');
+});
+
+testEachStore('trashed notes are left out of queries until restored', async open => {
+  const win = open();
+  await win.addNote({ id: 1, title: 'Gate', body: '', tags: ['work'], lat: 10, lon: 10 });
+  await win.addNote({ id: 2, title: 'Cafe', body: '', tags: ['work'], lat: 10, lon: 10 });
+  await win.trashNote(1);
+
+  assert.deepEqual((await win.getAllNotes()).map(n => n.id), [2]);
+  assert.deepEqual((await win.getNotesByRadius(10, 10, 100)).map(n => n.id), [2]);
+  assert.deepEqual((await win.getNotesByTag('work')).map(n => n.id), [2]);
+  assert.deepEqual((await win.getTrashedNotes()).map(n => n.title), ['Gate']);
+
+  await win.restoreNote(1);
+  assert.equal((await win.getNotesByRadius(10, 10, 100)).length, 2);
+  assert.equal((await win.getNote(1)).trashedAt, undefined);
+});
+
+testEachStore('deleting from the list can be undone from the toast', async open => {
+  const win = open();
+  await win.addNote({ id: 1, title: 'Gate', body: '', lat: 1, lon: 2 });
+  win.locationStore.setCurrent({ coords: { latitude: 1, longitude: 2 } });
+  await win.displayNotes();
+
+  win.document.querySelector('.note-delete').click();
+  await settle();
+  const toast = win.document.getElementById('undoToast');
+  assert.equal(toast.hidden, false);
+  assert.equal(win.document.getElementById('undoToastText').textContent, '"Gate" moved to trash');
+  assert.equal(win.document.querySelector('.note-delete'), null);
+
+  win.document.getElementById('undoBtn').click();
+  await settle();
+  assert.equal(toast.hidden, true);
+  assert.ok(win.document.querySelector('.note-delete'));
+});
+
+testEachStore('a failed delete or emptying of the trash is reported', async open => {
+  const alerts = [];
+  const win = open({ alert: msg => alerts.push(msg) });
+  win.confirm = () => true;
+  await win.addNote({ id: 1, title: 'Gate', body: '', lat: 1, lon: 2 });
+  win.locationStore.setCurrent({ coords: { latitude: 1, longitude: 2 } });
+  await win.displayNotes();
+
+  const addNote = win.addNote;
+  win.addNote = () => Promise.reject(new Error('Notes are locked'));
+  win.document.querySelector('.note-delete').click();
+  await settle();
+  win.addNote = addNote;
+  assert.equal(win.document.getElementById('undoToast').hidden, true);
+  assert.ok(win.document.querySelector('.note-delete'));
+
+  win.emptyTrash = () => Promise.reject(new Error('Notes are locked'));
+  win.document.getElementById('emptyTrashBtn').click();
+  await settle();
+  assert.deepEqual(alerts, ['Failed to delete note', 'Failed to empty the trash']);
+});
+
+testEachStore('undoing a delete after the trash was emptied says the note is gone', async open => {
+  const alerts = [];
+  const win = open({ alert: msg => alerts.push(msg) });
+  await win.addNote({ id: 1, title: 'Gate', body: '', lat: 1, lon: 2 });
+  win.locationStore.setCurrent({ coords: { latitude: 1, longitude: 2 } });
+  await win.displayNotes();
+
+  win.document.querySelector('.note-delete').click();
+  await settle();
+  await win.emptyTrash();
+  assert.equal(await win.restoreNote(1), false);
+  win.document.getElementById('undoBtn').click();
+  await settle();
+  assert.deepEqual(alerts, ['This note was already deleted for good']);
+  assert.deepEqual(await win.getNoteRecords(), []);
+});
+
+testEachStore('trash older than the retention period is emptied', async open => {
+  const win = open();
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  await win.addNote({ id: 1, title: 'Old', body: '', lat: 0, lon: 0, trashedAt: daysAgo(10) });
+  await win.addNote({ id: 2, title: 'Recent', body: '', lat: 0, lon: 0, trashedAt: daysAgo(1) });
+  await win.addNote({ id: 3, title: 'Kept', body: '', lat: 0, lon: 0 });
+  const memo = new Blob(['ogg bytes!'], { type: 'audio/ogg' });
+  memo.name = 'memo.ogg';
+  await win.addAttachments(1, [memo]);
+
+  win.settingsStore.set('trashDays', 7);
+  assert.equal(await win.purgeExpiredTrash(), 1);
+  assert.equal(await win.getNote(1), undefined);
+  assert.equal((await win.getAttachments(1)).length, 0);
+  assert.deepEqual((await win.getTrashedNotes()).map(n => n.id), [2]);
+
+  assert.equal(await win.emptyTrash(), 1);
+  assert.deepEqual((await win.getAllNotes()).map(n => n.id), [3]);
+});
+
+test('QR encoder produces valid error correction and symbol sizes', () => {
+  const win = setup();
+  // Worked example from the QR specification tutorials: "HELLO WORLD" at 1-M.
+  const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+  assert.deepEqual(
+    Array.from(win.reedSolomonRemainder(data, win.reedSolomonDivisor(10))),
+    [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]
+  );
+
+  const small = win.qrCode('hello');
+  assert.equal(small.length, 21);
+  // Finder pattern corners and the always-dark module.
+  assert.equal(small[0][0], true);
+  assert.equal(small[0][20], true);
+  assert.equal(small[20][0], true);
+  assert.equal(small[1][1], false);
+  assert.equal(small[13][8], true);
+
+  assert.equal(win.qrCode('x'.repeat(100)).length, 4 * 5 + 17);
+  assert.throws(() => win.qrCode('x'.repeat(3000)), /Too long for a QR code/);
+});
+
+test('a note shared as a link can be previewed and saved', async () => {
+  const sender = setup();
+  const link = sender.shareLink({ id: 5, title: 'Loading dock', body: 'Bay 4, ring twice ✓', lat: 51.5, lon: -0.12 });
+  assert.match(link, /^http:\/\/localhost\/#note=[A-Za-z0-9_-]+$/);
+
+  const win = setup({ url: link });
+  await settle();
+  assert.equal(win.document.getElementById('sharedNote').hidden, false);
+  assert.equal(win.document.getElementById('sharedNoteTitle').textContent, 'Loading dock');
+  assert.equal(win.document.getElementById('sharedNoteBody').textContent, 'Bay 4, ring twice ✓');
+
+  win.document.getElementById('saveSharedBtn').click();
+  await settle();
+  const [saved] = await win.getAllNotes();
+  assert.equal(saved.title, 'Loading dock');
+  assert.equal(saved.lat, 51.5);
+  assert.equal(saved.lon, -0.12);
+  assert.deepEqual((await win.getPlaces()).map(p => p.id), [saved.placeId]);
+  assert.equal(win.document.getElementById('sharedNote').hidden, true);
+  assert.equal(win.location.hash, '');
+});
+
+test('a damaged share link is reported', async () => {
+  const win = setup({ url: 'http://localhost/#note=eyJ0aXRsZSI6' });
+  await settle();
+  assert.equal(win.document.getElementById('sharedNoteContent').hidden, true);
+  assert.equal(win.document.getElementById('sharedNoteError').textContent, 'This shared note link is damaged');
+  assert.throws(() => win.parseSharedNote('#note=' + Buffer.from('{"title":"x","lat":95,"lon":0}').toString('base64url')),
+    /latitude must be a number/);
+});
+
+test('share button shows the link as a QR code and copies it', async () => {
+  const win = setup();
+  let copied = null;
+  Object.defineProperty(win.navigator, 'clipboard', { value: { writeText: async text => { copied = text; } } });
+  await win.addNote({ id: 1, title: 'Gate', body: '', lat: 1, lon: 2 });
+  win.locationStore.setCurrent({ coords: { latitude: 1, longitude: 2 } });
+  await win.displayNotes();
+
+  win.document.querySelector('.note-share').click();
+  assert.equal(win.document.getElementById('sharePanel').hidden, false);
+  assert.equal(win.document.getElementById('shareNativeBtn').hidden, true);
+  assert.ok(win.document.querySelector('#shareQr path').getAttribute('d').length > 0);
+  const link = win.document.getElementById('shareLink').value;
+  assert.deepEqual(win.parseSharedNote(link.slice(link.indexOf('#'))), { title: 'Gate', body: '', lat: 1, lon: 2 });
+
+  win.document.getElementById('copyLinkBtn').click();
+  await settle();
+  assert.equal(copied, link);
+  assert.equal(win.document.getElementById('shareStatus').textContent, 'Link copied');
+});
+
+test('coordinates, geo: URIs, plus codes and map links are read without geocoding', () => {
+  const win = setup();
+  const cases = [
+    ['47.6062, -122.3321', 47.6062, -122.3321],
+    ['47.6062 -122.3321', 47.6062, -122.3321],
+    ['47°36\'22"N 122°19\'56"W', 47.606111, -122.332222],
+    ['N47 36.37 W122 19.93', 47.606167, -122.332167],
+    ['122.3321W 47.6062N', 47.6062, -122.3321],
+    ['geo:47.6062,-122.3321;u=35', 47.6062, -122.3321],
+    ['849VCWC8+R9', 37.422063, -122.084063],
+    ['https://www.google.com/maps/place/Pike/@47.609,-122.342,17z/data=!3d47.6097!4d-122.3422', 47.6097, -122.3422],
+    ['https://www.google.com/maps/search/?api=1&query=47.5951,-122.3316', 47.5951, -122.3316],
+    ['https://www.openstreetmap.org/#map=15/47.6062/-122.3321', 47.6062, -122.3321],
+    ['https://www.openstreetmap.org/?mlat=47.6&mlon=-122.3#map=15/47.1/-122.1', 47.6, -122.3]
+  ];
+  cases.forEach(([input, lat, lon]) => {
+    const place = win.parseLocationInput(input);
+    assert.ok(Math.abs(place.lat - lat) < 1e-5 && Math.abs(place.lon - lon) < 1e-5, input);
+  });
+  assert.equal(win.parseLocationInput('geo:0,0?q=47.6,-122.3(Pike Place)').name, 'Pike Place');
+  const short = win.parseLocationInput('CWC8+R9', { reference: { lat: 37.4, lon: -122.1 } });
+  assert.ok(Math.abs(short.lat - 37.422063) < 1e-5 && Math.abs(short.lon + 122.084063) < 1e-5);
+
+  assert.equal(win.parseLocationInput('Pike Place Market'), null);
+  assert.equal(win.parseLocationInput('90210'), null);
+});
+
+test('invalid coordinates give clear errors', () => {
+  const win = setup();
+  const errors = [
+    ['95, 10', /Latitude must be between -90 and 90/],
+    ['45, 181', /Longitude must be between -180 and 180/],
+    ['47°61\'N 122°W', /Minutes and seconds must be less than 60/],
+    ['47.6N', /Enter both a latitude and a longitude/],
+    ['47.6E 122.3W', /Use N or S for latitude and E or W for longitude/],
+    ['CWC8+R9', /Short plus codes need your location/],
+    ['geo:abc', /This geo: link has no coordinates/],
+    ['https://www.google.com/maps/place/Seattle', /This map link has no coordinates/],
+    ['https://example.com/map', /Only Google Maps and OpenStreetMap links can be read/]
+  ];
+  errors.forEach(([input, message]) => {
+    assert.throws(() => win.parseLocationInput(input), message, input);
+  });
+});
+
+test('pasted coordinates are selected without a network request', async () => {
+  let fetched = false;
+  const win = setup({ fetch: () => { fetched = true; return Promise.resolve({ json: () => [] }); } });
+  const submit = query => {
+    win.document.getElementById('searchQuery').value = query;
+    win.document.getElementById('searchForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  };
+
+  submit('47.6062, -122.3321');
+  await new Promise(r => setTimeout(r, 0));
+  assert.deepEqual(win.locationStore.getSelected().coords, { latitude: 47.6062, longitude: -122.3321 });
+  assert.equal(win.searchResult.textContent, '47.60620, -122.33210');
+
+  submit('95, 10');
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal(win.searchResult.textContent, 'Latitude must be between -90 and 90');
+  assert.equal(fetched, false);
+});
+
+test('addresses with numbers and street directions go to the geocoder', async () => {
+  const queries = [];
+  const fetch = url => {
+    queries.push(new URL(url).searchParams.get('q'));
+    return Promise.resolve({ json: () => [] });
+  };
+  // A window per search, as searches are spaced a second apart.
+  for (const query of ['1600 W', '12 N Main', '5 E 42']) {
+    const win = setup({ fetch });
+    assert.equal(win.parseLocationInput(query), null, query);
+    win.document.getElementById('searchQuery').value = query;
+    win.document.getElementById('searchForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+    await settle();
+  }
+  assert.deepEqual(queries, ['1600 W', '12 N Main', '5 E 42']);
+});
+
+test('notes keep the accuracy and altitude of their fix and show them', async () => {
+  const win = setup();
+  const saved = [];
+  const realAddNote = win.addNote;
+  win.addNote = async note => { saved.push(note); return realAddNote(note); };
+  const fix = { coords: { latitude: 1, longitude: 2, accuracy: 300, altitude: 52 }, timestamp: 1 };
+  win.locationStore.setCurrent(fix);
+  win.locationStore.setSelected(fix);
+  win.document.getElementById('addNoteBtn').click();
+
+  const info = win.document.getElementById('accuracyInfo');
+  assert.equal(info.hidden, false);
+  assert.ok(info.classList.contains('poor-accuracy'));
+  assert.match(win.document.getElementById('accuracyText').textContent, /Only accurate to ±300 m/);
+
+  win.document.getElementById('title').value = 'Indoors';
+  win.document.getElementById('noteForm').dispatchEvent(new win.Event('submit', { bubbles: true, cancelable: true }));
+  await settle();
+  assert.equal(saved[0].accuracy, 300);
+  assert.equal(saved[0].altitude, 52);
+
+  win.settingsStore.set('radius', 1000);
+  await win.displayNotes();
+  const meta = win.document.querySelector('#notesList .note-meta');
+  assert.match(meta.textContent, /\(±300 m\) - alt\. 52 m/);
+  assert.ok(meta.classList.contains('poor-accuracy'));
+});
+
+test('refining averages several fixes weighted by accuracy', async () => {
+  const win = setup();
+  let cleared = null;
+  win.navigator.geolocation = {
+    watchPosition(success) {
+      success({ coords: { latitude: 10, longitude: 20, accuracy: 10, altitude: 100 }, timestamp: 1 });
+      success({ coords: { latitude: 10.001, longitude: 20, accuracy: 30, altitude: null }, timestamp: 2 });
+      success({ coords: { latitude: 10, longitude: 20.001, accuracy: 10, altitude: 104 }, timestamp: 3 });
+      return 7;
+    },
+    clearWatch(id) { cleared = id; }
+  };
+  const pos = await win.refineLocation({ samples: 3 });
+  assert.equal(cleared, 7);
+  // Weights 1/100, 1/900 and 1/100 pull the average towards the precise fixes.
+  assert.ok(Math.abs(pos.coords.latitude - (10 + 0.001 / 19)) < 1e-9);
+  assert.ok(Math.abs(pos.coords.longitude - (20 + 0.001 * 9 / 19)) < 1e-9);
+  assert.equal(pos.coords.accuracy, 10);
+  assert.equal(pos.coords.altitude, 102);
+  assert.equal(pos.timestamp, 3);
+});
+
+test('dragging the selected pin adjusts the position', async () => {
+  const win = setup();
+  const fix = { coords: { latitude: 0, longitude: 0, accuracy: 200, altitude: 5 } };
+  win.locationStore.setCurrent(fix);
+  win.locationStore.setSelected({ ...fix, placeName: 'Harbour Street' });
+  win.document.getElementById('adjustBtn').click();
+  await settle();
+  assert.equal(win.document.getElementById('mapView').hidden, false);
+  assert.ok(win.document.querySelector('#notesMap .map-accuracy'));
+  // Where both markers meet, the selected pin is on top and takes the press.
+  const markers = [...win.document.querySelectorAll('#notesMap .map-current, #notesMap .map-selected')];
+  assert.deepEqual(markers.map(m => m.getAttribute('class')), ['map-current', 'map-selected']);
+
+  const pin = win.document.querySelector('#notesMap .map-selected');
+  pointer(win, pin, 'pointerdown', 150, 150);
+  pointer(win, pin, 'pointermove', 150, 100);
+  pointer(win, pin, 'pointerup', 150, 100);
+  await settle();
+
+  const selected = win.locationStore.getSelected();
+  assert.equal(selected.adjusted, true);
+  assert.equal(selected.placeName, undefined);
+  assert.equal(selected.coords.altitude, 5);
+  assert.equal(selected.coords.accuracy, undefined);
+  // 50 units at 2 m per unit (the accuracy circle fits the view) is 100 m.
+  assert.ok(Math.abs(distanceNorth(selected.coords.latitude) - 100) < 0.01);
+  assert.equal(win.locationStore.getCurrent(), fix);
+  assert.equal(win.document.getElementById('accuracyText').textContent, 'Position adjusted on the map');
+});
+
+// Every note store must behave the same, so each contract test runs against
+// both implementations.
+const noteStores = {
+  indexedDB: win => win.createIndexedDBNoteStore(new IDBFactory()),
+  memory: win => win.createMemoryNoteStore()
+};
+
+for (const [name, open] of Object.entries(noteStores)) {
+  test(`${name} store saves, finds and deletes notes`, async () => {
+    const win = setup();
+    const store = await open(win);
+    await store.putNote(win.withGeohash({ id: 2, title: 'Pier', lat: 47.6, lon: -122.33, tags: ['water'] }));
+    await store.putNote(win.withGeohash({ id: 1, title: 'Bench', lat: 47.6, lon: -122.34, tags: ['park', 'water'] }));
+    await store.putNote(win.withGeohash({ id: 3, title: 'Far', lat: -33.87, lon: 151.21 }));
+
+    assert.equal((await store.getNote(2)).title, 'Pier');
+    assert.equal(await store.getNote(9), undefined);
+    assert.deepEqual((await store.getAllNotes()).map(n => n.id), [1, 2, 3]);
+    assert.deepEqual((await store.getNotesByTag('water')).map(n => n.id), [1, 2]);
+    assert.deepEqual(await store.getAllTags(), ['park', 'water']);
+    const cells = win.geohashCoverage(47.6, -122.335, 2000);
+    assert.deepEqual((await store.getNotesInCells(cells)).map(n => n.id).sort(), [1, 2]);
+
+    await store.deleteNote(2);
+    assert.deepEqual((await store.getAllNotes()).map(n => n.id), [1, 3]);
+    assert.deepEqual(await store.getAllTags(), ['park', 'water']);
+  });
+
+  test(`${name} store keeps attachments per note`, async () => {
+    const win = setup();
+    const store = await open(win);
+    await store.putNote({ id: 1, title: 'A', lat: 0, lon: 0 });
+    await store.putNote({ id: 2, title: 'B', lat: 0, lon: 0 });
+    await store.addAttachments([
+      { noteId: 1, name: 'a.jpg', size: 4, blob: new Blob(['abcd']) },
+      { noteId: 2, name: 'b.ogg', size: 6, blob: new Blob(['abcdef']) }
+    ]);
+    const [attachment] = await store.getAttachments(1);
+    assert.equal(attachment.name, 'a.jpg');
+    assert.equal(await attachment.blob.text(), 'abcd');
+    assert.equal(await store.getAttachmentUsage(), 10);
+
+    await store.putRecords({ attachments: [{ ...attachment, name: 'renamed.jpg' }] });
+    assert.deepEqual((await store.getAllAttachments()).map(a => a.name), ['renamed.jpg', 'b.ogg']);
+
+    await store.deleteNote(1);
+    assert.deepEqual((await store.getAllAttachments()).map(a => a.noteId), [2]);
+    const [other] = await store.getAttachments(2);
+    await store.deleteAttachment(other.id);
+    assert.equal(await store.getAttachmentUsage(), 0);
+  });
+
+  test(`${name} store queues changes and applies newer remote notes`, async () => {
+    const win = setup();
+    const store = await open(win);
+    await store.putNote({ id: 1, title: 'Local', updatedAt: '2024-05-01T00:00:00.000Z' }, { queue: true });
+    await store.putNote({ id: 2, title: 'Old', updatedAt: '2024-01-01T00:00:00.000Z' }, { queue: true });
+    await store.putNote({ id: 3, title: 'Unqueued' });
+    await store.deleteNote(4, { queue: true });
+    assert.deepEqual((await store.getOutbox()).map(e => e.noteId), [1, 2, 4]);
+
+    // An entry read before the note was queued again stays in the outbox.
+    await store.removeFromOutbox({ noteId: 1, queuedAt: '2000-01-01T00:00:00.000Z' });
+    assert.equal((await store.getOutbox()).length, 3);
+    await store.putNote({ id: 1, title: 'Local again', updatedAt: '2024-05-01T00:00:00.000Z' }, { queue: true });
+    const [entry] = await store.getOutbox();
+    await store.removeFromOutbox(entry);
+    assert.deepEqual((await store.getOutbox()).map(e => e.noteId), [2, 4]);
+
+    await store.applyRemote([
+      { remote: { id: 1, updatedAt: '2024-02-01T00:00:00.000Z' }, record: { id: 1, title: 'Stale' } },
+      { remote: { id: 2, updatedAt: '2024-03-01T00:00:00.000Z' }, record: { id: 2, title: 'Remote' } },
+      { remote: { id: 3, deleted: true, updatedAt: '2024-03-01T00:00:00.000Z' }, record: null }
+    ]);
+    assert.deepEqual((await store.getAllNotes()).map(n => n.title), ['Local again', 'Remote']);
+    assert.deepEqual((await store.getOutbox()).map(e => e.noteId), [4]);
+
+    await store.queueNotes([1, 2]);
+    assert.deepEqual((await store.getOutbox()).map(e => e.noteId), [1, 2, 4]);
+  });
+
+  test(`${name} store saves and deletes collections`, async () => {
+    const win = setup();
+    const store = await open(win);
+    await store.putCollection({ id: 2, name: 'Trip', noteIds: [3, 1] });
+    await store.putCollection({ id: 1, name: 'Errands', noteIds: [] });
+    assert.deepEqual((await store.getCollection(2)).noteIds, [3, 1]);
+    assert.deepEqual((await store.getCollections()).map(c => c.id), [1, 2]);
+    await store.deleteCollection(2);
+    assert.equal(await store.getCollection(2), undefined);
+    assert.deepEqual((await store.getCollections()).map(c => c.name), ['Errands']);
+    await store.putRecords({ collections: [{ id: 1, name: 'Chores', noteIds: [4] }] });
+    assert.deepEqual(await store.getCollection(1), { id: 1, name: 'Chores', noteIds: [4] });
+  });
+
+  test(`${name} store saves places`, async () => {
+    const win = setup();
+    const store = await open(win);
+    await store.putPlace({ id: 'b', name: 'Café', lat: 1, lon: 2, radius: 10 });
+    await store.putRecords({ places: [{ id: 'a', name: null, lat: 3, lon: 4, radius: 10 }] });
+    assert.deepEqual((await store.getPlaces()).map(p => p.id), ['a', 'b']);
+    await store.putPlace({ id: 'b', name: 'Café Nero', lat: 1, lon: 2, radius: 10 });
+    assert.equal((await store.getPlaces())[1].name, 'Café Nero');
+    await store.deletePlace('a');
+    assert.deepEqual((await store.getPlaces()).map(p => p.id), ['b']);
+  });
+
+  test(`${name} store hands out copies of its records`, async () => {
+    const win = setup();
+    const store = await open(win);
+    const note = { id: 1, title: 'Kept', tags: ['a'] };
+    await store.putNote(note);
+    note.title = 'Changed after saving';
+    const read = await store.getNote(1);
+    read.tags.push('b');
+    assert.deepEqual(await store.getNote(1), { id: 1, title: 'Kept', tags: ['a'] });
+  });
+}
+
+test('the app falls back to memory with a notice when IndexedDB cannot open', async () => {
+  const errors = [];
+  const win = setup({ indexedDB: null });
+  win.console.error = err => errors.push(err);
+  await win.addNote({ id: 1, title: 'Session only', body: '', lat: 0, lon: 0 });
+  await settle();
+
+  assert.equal(win.document.getElementById('storageNotice').hidden, false);
+  assert.equal(errors.length, 1);
+  assert.deepEqual((await win.getAllNotes()).map(n => n.title), ['Session only']);
+  assert.equal((await win.getNotesByRadius(0, 0, 100)).length, 1);
+
+  const ok = setup();
+  await settle();
+  assert.equal(ok.document.getElementById('storageNotice').hidden, true);
 });
 
+test('an upgrade held up by an older tab waits with a notice, and the older tab lets go', async () => {
+  const factory = new IDBFactory();
+  const oldTab = await new Promise((resolve, reject) => {
+    const req = factory.open('notes-db', 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('notes', { keyPath: 'id' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  const win = setup({ indexedDB: factory });
+  await settle();
+  const blocked = win.document.getElementById('upgradeBlockedNotice');
+  assert.equal(blocked.hidden, false);
+
+  oldTab.close();
+  await win.addNote({ id: 1, title: 'After the upgrade', body: '', lat: 0, lon: 0 });
+  assert.equal(blocked.hidden, true);
+  assert.equal(win.document.getElementById('storageNotice').hidden, true);
+
+  // A newer tab upgrading the database makes this one close it and ask for a reload.
+  await new Promise((resolve, reject) => {
+    const req = factory.open('notes-db', 8);
+    req.onsuccess = () => { req.result.close(); resolve(); };
+    req.onerror = () => reject(req.error);
+  });
+  assert.equal(win.document.getElementById('staleTabNotice').hidden, false);
+});
+
+test('bearings and compass points', () => {
+  const win = setup();
+  assert.equal(Math.round(win.bearing(0, 0, 1, 0)), 0);
+  assert.equal(Math.round(win.bearing(0, 0, 0, 1)), 90);
+  assert.equal(Math.round(win.bearing(0, 0, -1, 0)), 180);
+  assert.equal(Math.round(win.bearing(0, 179.9, 0, -179.9)), 90);
+  assert.equal(win.cardinalDirection(44), 'NE');
+  assert.equal(win.cardinalDirection(350), 'N');
+  assert.equal(win.cardinalDirection(-90), 'W');
+});
+
+test('nearby notes show their direction and can be followed with the compass', async () => {
+  const win = setup();
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  await win.addNote({ id: 1, title: 'Well', body: '', lat: 0.0005, lon: 0.0005 });
+  win.displayNotes();
+  await settle();
+  assert.match(win.document.querySelector('#notesList .note-meta').textContent, / - 79 m NE/);
+
+  let onPosition;
+  let cleared;
+  win.navigator.geolocation = {
+    watchPosition(success) { onPosition = success; return 7; },
+    clearWatch(id) { cleared = id; }
+  };
+  win.document.querySelector('#notesList .note-guide').click();
+  const view = win.document.getElementById('guideView');
+  const arrow = win.document.getElementById('guideArrow');
+  const direction = win.document.getElementById('guideDirection');
+  assert.equal(view.hidden, false);
+  assert.equal(win.document.getElementById('guideTitle').textContent, 'Well');
+
+  // No compass yet: only the direction to head in.
+  assert.equal(arrow.hidden, true);
+  assert.equal(direction.textContent, 'Head NE (45°). Compass unavailable');
+
+  const orientation = new win.Event('deviceorientation');
+  Object.assign(orientation, { absolute: true, alpha: 360 - 90 });
+  win.dispatchEvent(orientation);
+  assert.equal(arrow.hidden, false);
+  assert.equal(arrow.style.transform, 'rotate(-45deg)');
+  assert.equal(direction.textContent, 'NE (45°)');
+
+  onPosition({ coords: { latitude: 0.0004, longitude: 0.0004 }, timestamp: 1 });
+  assert.equal(win.document.getElementById('guideDistance').textContent, '16 m');
+  onPosition({ coords: { latitude: 0.0005, longitude: 0.0005 }, timestamp: 2 });
+  assert.equal(win.document.getElementById('guideDistance').textContent, 'You have arrived');
+
+  win.document.getElementById('guideCloseBtn').click();
+  assert.equal(cleared, 7);
+  assert.equal(view.hidden, true);
+});
+
+test('collections keep notes in order with distances and route length', async () => {
+  const win = setup();
+  win.confirm = () => true;
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  const doc = win.document;
+  const trip = await win.createCollection('  Lisbon trip ');
+  assert.equal(trip.name, 'Lisbon trip');
+  await win.renderCollections();
+
+  // Notes join the collection chosen in the form, which stays chosen.
+  const select = doc.getElementById('noteCollection');
+  select.value = String(trip.id);
+  for (const [title, lat] of [['Castle', 0.01], ['Tram', 0.02], ['Harbour', 0.03]]) {
+    win.locationStore.setSelected({ coords: { latitude: lat, longitude: 0 } });
+    doc.getElementById('title').value = title;
+    doc.getElementById('noteForm').dispatchEvent(new win.Event('submit', { cancelable: true }));
+    await settle();
+    await new Promise(r => setTimeout(r, 2));
+  }
+  assert.equal(select.value, String(trip.id));
+  await win.addNote({ id: 1, title: 'Elsewhere', body: '', lat: 0, lon: 0 });
+
+  await win.openCollection(trip.id);
+  const rows = () => [...doc.querySelectorAll('#collectionNotes li')];
+  assert.deepEqual(rows().map(li => li.querySelector('.note-title').textContent), ['Castle', 'Tram', 'Harbour']);
+  assert.match(rows()[0].querySelector('.note-meta').textContent, /1\.1 km/);
+  assert.equal(doc.getElementById('collectionRoute').textContent, '3 stops, route 2.2 km');
+  assert.equal(rows()[0].querySelector('.collection-up').disabled, true);
+  assert.match(doc.getElementById('collectionsList').textContent, /Lisbon trip \(3\)/);
+
+  rows()[2].querySelector('.collection-up').click();
+  await settle();
+  assert.deepEqual(rows().map(li => li.querySelector('.note-title').textContent), ['Castle', 'Harbour', 'Tram']);
+  assert.equal(doc.getElementById('collectionRoute').textContent, '3 stops, route 3.3 km');
+
+  let exported;
+  win.downloadFile = (filename, type, content) => { exported = { filename, content }; };
+  doc.getElementById('exportFormat').value = 'geojson';
+  doc.getElementById('exportCollectionBtn').click();
+  await settle();
+  assert.equal(exported.filename, 'lisbon-trip.geojson');
+  assert.deepEqual(JSON.parse(exported.content).features.map(f => f.properties.title), ['Castle', 'Harbour', 'Tram']);
+
+  doc.getElementById('deleteCollectionBtn').click();
+  await settle();
+  assert.equal(doc.getElementById('collectionView').hidden, true);
+  assert.deepEqual(await win.getCollections(), []);
+  assert.deepEqual((await win.getAllNotes()).map(n => n.title), ['Elsewhere']);
+  assert.equal((await win.getTrashedNotes()).length, 3);
+});
+
+test('upgrading groups notes saved at the same spot into places', async () => {
+  const factory = new IDBFactory();
+  await new Promise((resolve, reject) => {
+    const req = factory.open('notes-db', 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore('notes', { keyPath: 'id' });
+      store.put({ id: 1, title: 'Menu', body: '', lat: 10, lon: 20, createdAt: '2024-01-01T00:00:00.000Z' });
+      store.put({ id: 2, title: 'Wifi', body: '', lat: 10.00004, lon: 20, placeName: 'Café', createdAt: '2024-02-01T00:00:00.000Z' });
+      store.put({ id: 3, title: 'Park', body: '', lat: 10.01, lon: 20, createdAt: '2024-03-01T00:00:00.000Z' });
+      store.put({ id: 4, title: 'Sealed', enc: { iv: 'x', data: 'y' } });
+    };
+    req.onsuccess = () => { req.result.close(); resolve(); };
+    req.onerror = () => reject(req.error);
+  });
+
+  const win = setup({ indexedDB: factory });
+  const places = await win.getPlaces();
+  assert.equal(places.length, 2);
+  const cafe = places.find(p => p.name === 'Café');
+  assert.ok(Math.abs(cafe.lat - 10.00002) < 1e-9);
+  assert.equal(cafe.radius, 10);
+  const records = await win.getNoteRecords();
+  const placeOf = id => records.find(r => r.id === id).placeId;
+  assert.equal(placeOf(1), cafe.id);
+  assert.equal(placeOf(2), cafe.id);
+  assert.notEqual(placeOf(3), cafe.id);
+  assert.equal(placeOf(4), undefined);
+  assert.equal(records.find(r => r.id === 1).geohash, win.geohashEncode(10, 20));
+});
+
+test('places stay on each device while synced and imported notes join them', { timeout: 10000 }, async t => {
+  const url = await startSyncServer(t);
+  const phone = await syncedDevice(t, url);
+  const laptop = await syncedDevice(t, url);
+
+  await phone.addNote(await phone.attachToPlace({ id: 1, title: 'Dock', body: '', lat: 1, lon: 1, createdAt: '2024-01-01T00:00:00.000Z' }));
+  await phone.syncNow();
+  const { notes } = await (await fetch(`${url}/notes?since=0`)).json();
+  assert.equal(notes[0].placeId, undefined);
+
+  await laptop.syncNow();
+  const [laptopPlace] = await laptop.getPlaces();
+  assert.equal((await laptop.getNote(1)).placeId, laptopPlace.id);
+
+  // A note imported at the same spot joins the laptop's place.
+  await laptop.importNotes(laptop.notesToGeoJSON([{ id: 2, title: 'Crane', body: '', lat: 1.00001, lon: 1 }]));
+  assert.equal((await laptop.getNote(2)).placeId, laptopPlace.id);
+  assert.equal((await laptop.getPlaces()).length, 1);
+
+  // Deleting the notes elsewhere takes the place with them.
+  await phone.deleteNote(1);
+  await phone.syncNow();
+  await laptop.deleteNote(2);
+  await laptop.syncNow();
+  assert.deepEqual(await laptop.getPlaces(), []);
+});
+
+test('new notes snap to a nearby place and are listed under it', async () => {
+  const win = setup();
+  const doc = win.document;
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  const save = async (title, lat, placeName) => {
+    win.locationStore.setSelected({ coords: { latitude: lat, longitude: 0 }, placeName });
+    doc.getElementById('title').value = title;
+    doc.getElementById('noteForm').dispatchEvent(new win.Event('submit', { cancelable: true }));
+    await settle();
+    await new Promise(r => setTimeout(r, 2));
+  };
+  await save('Menu', 0.0005, 'Blue Door Café, Main Street, Town');
+  await save('Wifi password', 0.00053);
+  await save('Bench', 0.0007);
+
+  const places = await win.getPlaces();
+  assert.equal(places.length, 2);
+  const notes = await win.getAllNotes();
+  const byTitle = title => notes.find(n => n.title === title);
+  assert.equal(byTitle('Menu').placeId, byTitle('Wifi password').placeId);
+  assert.notEqual(byTitle('Bench').placeId, byTitle('Menu').placeId);
+  assert.equal(byTitle('Wifi password').placeName, 'Blue Door Café, Main Street, Town');
+  assert.equal(byTitle('Wifi password').lat, 0.00053);
+
+  await win.displayNotes();
+  await settle();
+  const items = [...doc.querySelectorAll('#notesList > li')];
+  assert.equal(items.length, 2);
+  assert.equal(items[0].querySelector('.place-name').textContent, 'Blue Door Café, Main Street');
+  assert.equal(items[0].querySelector(':scope > .note-meta').textContent, ' - 56 m N - 2 notes');
+  assert.deepEqual([...items[0].querySelectorAll('.place-notes .note-title')].map(t => t.textContent).sort(), ['Menu', 'Wifi password']);
+  assert.equal(items[1].querySelector('.note-title').textContent, 'Bench');
+});
+
+testEachStore('a place is deleted with the last note attached to it', async open => {
+  const win = open();
+  const save = async (id, lat) => win.addNote(await win.attachToPlace({ id, title: `Note ${id}`, body: '', lat, lon: 0 }));
+  await save(1, 0);
+  await save(2, 0.00001);
+  await save(3, 1);
+  const dock = (await win.getNote(1)).placeId;
+  const placeIds = async () => (await win.getPlaces()).map(p => p.id);
+
+  await win.trashNote(1);
+  await win.deleteNote(2);
+  assert.ok((await placeIds()).includes(dock));
+  await win.emptyTrash();
+  assert.deepEqual(await placeIds(), [(await win.getNote(3)).placeId]);
+
+  // A new note at the old spot starts a place of its own.
+  await save(4, 0);
+  assert.notEqual((await win.getNote(4)).placeId, dock);
+});
+
+test('places are encrypted along with locations', async () => {
+  const win = setup();
+  await win.addNote(await win.attachToPlace({ id: 1, title: 'Spot', body: '', lat: 10, lon: 10, placeName: 'Harbour' }));
+  await win.enableEncryption('correct horse', { encryptLocation: true });
+  assert.equal((await win.getPlaces())[0].name, 'Harbour');
+  // Only sealed records need the key.
+  win.lockNotes();
+  await assert.rejects(win.getPlaces(), /Notes are locked/);
+});
+
+// Read every record of an object store in the app's database as stored.
+function readRawRecords(factory, storeName) {
+  return new Promise((resolve, reject) => {
+    const req = factory.open('notes-db');
+    req.onsuccess = () => {
+      const db = req.result;
+      const all = db.transaction(storeName).objectStore(storeName).getAll();
+      all.onsuccess = () => { db.close(); resolve(all.result); };
+      all.onerror = () => reject(all.error);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+test('collections are encrypted with the notes', { timeout: 10000 }, async () => {
+  const factory = new IDBFactory();
+  const win = setup({ indexedDB: factory });
+  await win.addNote({ id: 1, title: 'Stop', body: '', lat: 10, lon: 10 });
+  const trip = await win.createCollection('Secret trip');
+  await win.addToCollection(trip.id, 1);
+  await win.enableEncryption('correct horse');
+
+  const [raw] = await readRawRecords(factory, 'collections');
+  assert.equal(raw.name, undefined);
+  assert.equal(raw.noteIds, undefined);
+  assert.ok(raw.enc);
+  await win.createCollection('Errands');
+  assert.deepEqual((await win.getCollections()).map(c => c.name), ['Errands', 'Secret trip']);
+  assert.deepEqual((await win.getCollection(trip.id)).noteIds, [1]);
+
+  win.lockNotes();
+  await settle();
+  assert.equal(win.document.getElementById('collectionsList').children.length, 0);
+  await win.unlockNotes('correct horse');
+  await win.disableEncryption('correct horse');
+  const plain = await readRawRecords(factory, 'collections');
+  assert.deepEqual(plain.map(c => c.name).sort(), ['Errands', 'Secret trip']);
+});
+
+test('collections reorder and count only the notes they list', async () => {
+  const win = setup();
+  const doc = win.document;
+  for (const [id, title] of [[1, 'Castle'], [2, 'Tram'], [3, 'Harbour']]) {
+    await win.addNote({ id, title, body: '', lat: 0, lon: 0 });
+  }
+  const trip = await win.createCollection('Trip');
+  await win.putCollection({ ...trip, noteIds: [1, 3, 2] });
+  await win.trashNote(2);
+  await win.renderCollections();
+  assert.match(doc.getElementById('collectionsList').textContent, /Trip \(2\)/);
+
+  await win.openCollection(trip.id);
+  const titles = () => [...doc.querySelectorAll('#collectionNotes .note-title')].map(el => el.textContent);
+  assert.deepEqual(titles(), ['Castle', 'Harbour']);
+  doc.querySelectorAll('#collectionNotes .collection-up')[1].click();
+  await settle();
+  assert.deepEqual(titles(), ['Harbour', 'Castle']);
+  // The trashed note keeps its place and comes back there when restored.
+  assert.deepEqual((await win.getCollection(trip.id)).noteIds, [3, 1, 2]);
+});
+
+test('failed collection changes are reported', async () => {
+  const alerts = [];
+  const win = setup({ alert: msg => alerts.push(msg) });
+  win.confirm = () => true;
+  const doc = win.document;
+  await win.addNote({ id: 1, title: 'Castle', body: '', lat: 0, lon: 0 });
+  const trip = await win.createCollection('Trip');
+  await win.addToCollection(trip.id, 1);
+  await win.openCollection(trip.id);
+
+  win.removeFromCollection = () => Promise.reject(new Error('Notes are locked'));
+  doc.querySelector('#collectionNotes .collection-remove').click();
+  await settle();
+  win.deleteCollection = () => Promise.reject(new Error('Notes are locked'));
+  doc.getElementById('deleteCollectionBtn').click();
+  await settle();
+
+  assert.deepEqual(alerts, ['Failed to update the collection', 'Failed to delete the collection']);
+  assert.equal(doc.getElementById('collectionView').hidden, false);
+  assert.deepEqual((await win.getCollection(trip.id)).noteIds, [1]);
+});
+
+test('deleting a collection another tab already deleted closes it quietly', async () => {
+  const win = setup({ alert: () => assert.fail('no alert expected') });
+  win.confirm = () => assert.fail('nothing to confirm');
+  const trip = await win.createCollection('Trip');
+  await win.openCollection(trip.id);
+  await win.deleteCollection(trip.id);
+  win.document.getElementById('deleteCollectionBtn').click();
+  await settle();
+  assert.equal(win.document.getElementById('collectionView').hidden, true);
+});
+
+test('reminders come first, future and expired notes are hidden, and done clears a reminder', async () => {
+  const alerts = [];
+  const win = setup({ alert: msg => alerts.push(msg) });
+  const today = win.localDate();
+  const shift = days => win.localDate(new Date(Date.now() + days * 86400000));
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  await win.addNote({ id: 1, title: 'Plain', body: '', lat: 0.0001, lon: 0 });
+  await win.addNote({ id: 2, title: 'Buy hinges', body: '', lat: 0.0005, lon: 0, remindNear: true });
+  await win.addNote({ id: 3, title: 'Later', body: '', lat: 0.0001, lon: 0, dueDate: shift(2) });
+  await win.addNote({ id: 4, title: 'Gone', body: '', lat: 0.0001, lon: 0, expiryDate: shift(-1) });
+  await win.addNote({ id: 5, title: 'Due today', body: '', lat: 0.0003, lon: 0, dueDate: today, expiryDate: today });
+
+  await win.displayNotes();
+  await settle();
+  const titles = () => [...win.document.querySelectorAll('#notesList .note-title')].map(t => t.textContent);
+  assert.deepEqual(titles(), ['Due today', 'Buy hinges', 'Plain']);
+  assert.equal(win.document.querySelectorAll('#notesList .reminder').length, 2);
+
+  win.document.querySelector('#notesList .note-done').click();
+  await settle();
+  assert.deepEqual(titles(), ['Buy hinges', 'Plain', 'Due today']);
+  assert.ok((await win.getNote(5)).doneAt);
+
+  const addNote = win.addNote;
+  win.addNote = () => Promise.reject(new Error('Notes are locked'));
+  win.document.querySelector('#notesList .note-done').click();
+  await settle();
+  win.addNote = addNote;
+  assert.deepEqual(alerts, ['Failed to mark the reminder done']);
+  assert.deepEqual(titles(), ['Buy hinges', 'Plain', 'Due today']);
+
+  assert.equal(win.isShown({ dueDate: shift(1) }), false);
+  assert.equal(win.isActiveReminder({ dueDate: shift(-3) }), true);
+});
+
+testEachStore('reminder fields are saved from the note form and restored when editing', async open => {
+  const win = open();
+  const doc = win.document;
+  win.locationStore.setSelected({ coords: { latitude: 1, longitude: 1 } });
+  doc.getElementById('title').value = 'Hinges';
+  doc.getElementById('dueDate').value = '2030-05-01';
+  doc.getElementById('expiryDate').value = '2030-06-01';
+  doc.getElementById('remindNear').checked = true;
+  doc.getElementById('noteForm').dispatchEvent(new win.Event('submit', { cancelable: true }));
+  await settle();
+  const [note] = await win.getStoredNotes();
+  assert.deepEqual([note.dueDate, note.expiryDate, note.remindNear], ['2030-05-01', '2030-06-01', true]);
+
+  win.openEditForm({ ...note, doneAt: '2030-05-02T00:00:00.000Z' });
+  assert.equal(doc.getElementById('dueDate').value, '2030-05-01');
+  assert.equal(doc.getElementById('remindNear').checked, true);
+  doc.getElementById('dueDate').value = '2030-07-01';
+  doc.getElementById('expiryDate').value = '';
+  doc.getElementById('noteForm').dispatchEvent(new win.Event('submit', { cancelable: true }));
+  await settle();
+  const edited = await win.getNote(note.id);
+  assert.equal(edited.dueDate, '2030-07-01');
+  assert.equal(edited.expiryDate, undefined);
+  assert.equal(edited.doneAt, undefined);
+
+  let message;
+  win.alert = msg => { message = msg; };
+  doc.getElementById('dueDate').value = '2030-07-01';
+  doc.getElementById('expiryDate').value = '2030-01-01';
+  doc.getElementById('noteForm').dispatchEvent(new win.Event('submit', { cancelable: true }));
+  assert.equal(message, 'The expiry date is before the due date');
+});
+
+test('opening the app near a reminder raises an alert once', async () => {
+  const pos = { coords: { latitude: 10.0001, longitude: 20 }, timestamp: 0 };
+  const factory = new IDBFactory();
+  const first = setup({ indexedDB: factory });
+  await first.addNote({ id: 1, title: 'Buy hinges', body: '', lat: 10, lon: 20, remindNear: true });
+  await first.addNote({ id: 2, title: 'Just a note', body: '', lat: 10, lon: 20 });
+
+  const win = setup({ indexedDB: factory });
+  win.navigator.permissions = { query: () => Promise.resolve({ state: 'granted' }) };
+  win.navigator.geolocation = { getCurrentPosition: success => success(pos) };
+  // Open the app again now that location access is granted.
+  win.dispatchEvent(new win.Event('load'));
+  await settle();
+  const banner = win.document.getElementById('proximityAlert');
+  assert.equal(banner.hidden, false);
+  assert.equal(win.document.getElementById('proximityAlertText').textContent, 'Reminder: Buy hinges');
+
+  banner.hidden = true;
+  win.fetchLocation();
+  await settle();
+  assert.equal(banner.hidden, true);
+});
+
+test('note bodies render Markdown without letting markup through', () => {
+  const win = setup();
+  const box = win.document.createElement('div');
+  box.appendChild(win.renderMarkdown([
+    '# Steps <b>now</b>',
+    '1. Open `gate` with **care**',
+    '2. See [map](https://example.com/map) or https://osm.org/x.',
+    '',
+    'Line one',
+    'line _two_ <img src=x onerror="alert(1)">',
+    '- [x] done',
+    '- [ ] todo',
+    '[bad](javascript:alert(1)) and snake_case_name'
+  ].join('\n')));
+
+  assert.equal(box.querySelector('h1').textContent, 'Steps <b>now</b>');
+  assert.equal(box.querySelector('b'), null);
+  assert.equal(box.querySelector('img'), null);
+  assert.deepEqual([...box.querySelectorAll('ol li')].map(li => li.textContent), [
+    'Open gate with care',
+    'See map or https://osm.org/x.'
+  ]);
+  assert.equal(box.querySelector('ol code').textContent, 'gate');
+  assert.equal(box.querySelector('ol strong').textContent, 'care');
+  const links = [...box.querySelectorAll('a')];
+  assert.deepEqual(links.map(a => a.href), ['https://example.com/map', 'https://osm.org/x']);
+  assert.ok(links.every(a => a.rel === 'noopener noreferrer'));
+  assert.equal(box.querySelector('p br') !== null, true);
+  assert.equal(box.querySelector('p em').textContent, 'two');
+  const boxes = [...box.querySelectorAll('.task input')];
+  assert.deepEqual(boxes.map(b => [b.checked, b.disabled]), [[true, true], [false, true]]);
+  assert.match(box.textContent, /bad and snake_case_name$/);
+  assert.equal(box.querySelectorAll('em').length, 1);
+});
+
+test('ticking a checklist item in the list saves the note body', async () => {
+  const win = setup();
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  await win.addNote({ id: 1, title: 'Packing', body: 'Bring:\n- [ ] rope\n- [x] map', lat: 0, lon: 0 });
+  await win.displayNotes();
+  await settle();
+
+  const first = () => win.document.querySelector('#notesList .task input');
+  first().checked = true;
+  first().dispatchEvent(new win.Event('change'));
+  await settle();
+  const saved = await win.getNote(1);
+  assert.equal(saved.body, 'Bring:\n- [x] rope\n- [x] map');
+  assert.equal(saved.revisions, undefined);
+  assert.equal(first().checked, true);
+
+  first().checked = false;
+  first().dispatchEvent(new win.Event('change'));
+  await settle();
+  assert.equal((await win.getNote(1)).body, 'Bring:\n- [ ] rope\n- [x] map');
+  assert.equal(win.toggleTask('- [ ] a\nplain', 1), '- [ ] a\nplain');
+});
+
+test('quick ticks all count and a failed tick is undone on screen', async () => {
+  const alerts = [];
+  const win = setup({ alert: msg => alerts.push(msg) });
+  win.locationStore.setCurrent({ coords: { latitude: 0, longitude: 0 } });
+  await win.addNote({ id: 1, title: 'Packing', body: '- [ ] rope\n- [ ] map', lat: 0, lon: 0 });
+  await win.displayNotes();
+  await settle();
+
+  const boxes = () => [...win.document.querySelectorAll('#notesList .task input')];
+  const [rope, map] = boxes();
+  rope.checked = true;
+  map.checked = true;
+  rope.dispatchEvent(new win.Event('change'));
+  map.dispatchEvent(new win.Event('change'));
+  await settle();
+  assert.equal((await win.getNote(1)).body, '- [x] rope\n- [x] map');
+  assert.deepEqual(boxes().map(b => b.checked), [true, true]);
+
+  // An edit made elsewhere is kept by the next tick.
+  const stored = await win.getNote(1);
+  await win.addNote({ ...stored, body: `${stored.body}\n- [ ] tent` });
+  boxes()[0].checked = false;
+  boxes()[0].dispatchEvent(new win.Event('change'));
+  await settle();
+  assert.equal((await win.getNote(1)).body, '- [ ] rope\n- [x] map\n- [ ] tent');
+
+  const addNote = win.addNote;
+  win.addNote = () => Promise.reject(new Error('Notes are locked'));
+  boxes()[1].checked = false;
+  boxes()[1].dispatchEvent(new win.Event('change'));
+  await settle();
+  win.addNote = addNote;
+  assert.deepEqual(alerts, ['Failed to save the checklist']);
+  assert.deepEqual(boxes().map(b => b.checked), [false, true, false]);
+  assert.equal((await win.getNote(1)).body, '- [ ] rope\n- [x] map\n- [ ] tent');
+});
+
+test('the note editor previews the body as it is typed', async () => {
+  const win = setup();
+  const body = win.document.getElementById('body');
+  const preview = win.document.getElementById('bodyPreview');
+  assert.equal(preview.hidden, true);
+  body.value = '## Gate\n- code `1234`';
+  body.dispatchEvent(new win.Event('input'));
+  assert.equal(preview.hidden, false);
+  assert.equal(preview.querySelector('h2').textContent, 'Gate');
+  assert.equal(preview.querySelector('li code').textContent, '1234');
+
+  win.document.getElementById('cancelNoteBtn').click();
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal(preview.hidden, true);
+  assert.equal(preview.textContent, '');
+});
+
+// A Cache Storage holding what the service worker kept from a share.
+function sharedContentCaches(shared) {
+  const entries = new Map([['http://localhost/shared-content', JSON.stringify(shared)]]);
+  const cache = {
+    match: url => Promise.resolve(entries.has(url) ? new Response(entries.get(url)) : undefined),
+    delete: url => Promise.resolve(entries.delete(url))
+  };
+  return { open: () => Promise.resolve(cache), entries };
+}
+
+test('a shared map link opens the note form at its position', async () => {
+  const caches = sharedContentCaches({
+    title: 'Ferry terminal',
+    text: 'Meet here',
+    url: 'https://www.openstreetmap.org/?mlat=47.6025&mlon=-122.3392#map=17/47.6/-122.3'
+  });
+  const win = setup({ url: 'http://localhost/?share-target', caches });
+  await settle();
+
+  const doc = win.document;
+  assert.equal(doc.getElementById('noteForm').style.display, 'block');
+  assert.equal(doc.getElementById('title').value, 'Ferry terminal');
+  assert.equal(doc.getElementById('body').value, 'Meet here\nhttps://www.openstreetmap.org/?mlat=47.6025&mlon=-122.3392#map=17/47.6/-122.3');
+  assert.deepEqual(win.locationStore.getSelected().coords, { latitude: 47.6025, longitude: -122.3392 });
+  assert.equal(win.location.search, '');
+  assert.equal(caches.entries.size, 0);
+});
+
+test('a shared map link keeps its position when location access is granted', async () => {
+  const caches = sharedContentCaches({ url: 'geo:47.6025,-122.3392' });
+  let located = 0;
+  const win = setup({ url: 'http://localhost/?share-target', caches });
+  win.navigator.permissions = { query: () => Promise.resolve({ state: 'granted' }) };
+  win.navigator.geolocation = {
+    getCurrentPosition(success) {
+      located++;
+      success({ coords: { latitude: 1, longitude: 2 }, timestamp: 0 });
+    }
+  };
+  win.dispatchEvent(new win.Event('load'));
+  await settle();
+  assert.equal(located, 0);
+  assert.deepEqual(win.locationStore.getSelected().coords, { latitude: 47.6025, longitude: -122.3392 });
+});
+
+test('shared text without a position uses the current location', async () => {
+  const caches = sharedContentCaches({ text: 'Great bakery, try the rye' });
+  let located = 0;
+  const win = setup({ url: 'http://localhost/?share-target', caches });
+  win.navigator.geolocation = {
+    getCurrentPosition(success) {
+      located++;
+      success({ coords: { latitude: 1, longitude: 2 }, timestamp: 0 });
+    }
+  };
+  await settle();
+  assert.equal(located, 1);
+  assert.equal(win.document.getElementById('body').value, 'Great bakery, try the rye');
+  assert.deepEqual(win.locationStore.getSelected().coords, { latitude: 1, longitude: 2 });
+
+  assert.deepEqual(win.findSharedLocation({ text: 'Parking at 47.6062, -122.3321 tonight' }), { lat: 47.6062, lon: -122.3321 });
+  assert.deepEqual(win.findSharedLocation({ text: 'see geo:10,20 ok' }), { lat: 10, lon: 20 });
+  assert.equal(win.findSharedLocation({ text: 'nothing here', url: 'https://example.com' }), null);
+});
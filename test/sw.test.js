@@ -1,39 +1,139 @@
 const test = require('node:test');
 const assert = require('node:assert');
+const { shellVersion } = require('../scripts/stamp-version');
 
-test('service worker calls skipWaiting and clients.claim', async t => {
+// Load a fresh copy of sw.js against mocked worker globals. `cached` maps
+// URLs to responses already in the cache, and `network` answers fetches.
+function loadWorker(t, { cached = {}, network = () => Promise.reject(new Error('offline')) } = {}) {
   const events = {};
-  let skipWaitingCalled = false;
-  let claimCalled = false;
+  const worker = {
+    skipWaitingCalled: false, claimCalled: false, puts: [], deleted: [], opened: [], cacheKeys: [], events
+  };
 
+  const cache = {
+    addAll: () => Promise.resolve(),
+    put: (request, response) => {
+      worker.puts.push([typeof request === 'string' ? request : request.url, response]);
+      return Promise.resolve();
+    }
+  };
   const cachesMock = {
-    open: () => Promise.resolve({ addAll: () => Promise.resolve() }),
-    keys: () => Promise.resolve([]),
-    delete: () => Promise.resolve(),
-    match: () => Promise.resolve(null)
+    open: name => { worker.opened.push(name); return Promise.resolve(cache); },
+    keys: () => Promise.resolve(worker.cacheKeys),
+    delete: key => { worker.deleted.push(key); return Promise.resolve(true); },
+    match: request => Promise.resolve(cached[request.url.split('?')[0]] || undefined)
   };
 
   global.self = {
-    skipWaiting() { skipWaitingCalled = true; return Promise.resolve(); },
-    clients: { claim() { claimCalled = true; return Promise.resolve(); } },
+    location: new URL('https://notes.example/'),
+    skipWaiting() { worker.skipWaitingCalled = true; return Promise.resolve(); },
+    clients: { claim() { worker.claimCalled = true; return Promise.resolve(); } },
     addEventListener: (type, handler) => { events[type] = handler; },
     caches: cachesMock
   };
   global.caches = cachesMock;
+  global.fetch = network;
 
   t.after(() => {
     delete global.self;
     delete global.caches;
+    delete global.fetch;
   });
 
+  delete require.cache[require.resolve('../sw.js')];
   require('../sw.js');
+  return worker;
+}
+
+// Dispatch a fetch event and report what the worker did with it.
+function fetchEvent(worker, url, method = 'GET') {
+  const result = { response: null, waits: [] };
+  worker.events.fetch({
+    request: { url, method },
+    respondWith: p => { result.response = p; },
+    waitUntil: p => { result.waits.push(p); }
+  });
+  return result;
+}
+
+test('service worker waits after install until told to skip waiting', async t => {
+  const worker = loadWorker(t);
 
   let installWait;
-  await events['install']({ waitUntil: p => { installWait = p; } });
+  await worker.events.install({ waitUntil: p => { installWait = p; } });
   await installWait;
+  assert.equal(worker.skipWaitingCalled, false);
+  const [cacheName] = worker.opened;
+  worker.cacheKeys = ['place-notes-v1', 'place-notes-3', cacheName, 'place-notes-share'];
+
+  worker.events.message({ data: { type: 'SKIP_WAITING' } });
+  assert.ok(worker.skipWaitingCalled);
+
   let activateWait;
-  await events['activate']({ waitUntil: p => { activateWait = p; } });
+  await worker.events.activate({ waitUntil: p => { activateWait = p; } });
   await activateWait;
-  assert.ok(skipWaitingCalled);
-  assert.ok(claimCalled);
+  assert.ok(worker.claimCalled);
+  assert.deepEqual(worker.deleted, ['place-notes-v1', 'place-notes-3']);
+});
+
+test('app shell is served from the cache and refreshed in the background', async t => {
+  const cachedPage = { body: 'old' };
+  const freshPage = { ok: true, type: 'basic', clone: () => ({ body: 'new' }) };
+  const worker = loadWorker(t, {
+    cached: { 'https://notes.example/app.js': cachedPage },
+    network: () => Promise.resolve(freshPage)
+  });
+
+  const result = fetchEvent(worker, 'https://notes.example/app.js?v=3');
+  assert.equal(await result.response, cachedPage);
+  await Promise.all(result.waits);
+  assert.deepEqual(worker.puts, [['https://notes.example/app.js?v=3', { body: 'new' }]]);
+});
+
+test('geocoding, cross-origin and non-shell requests go to the network uncached', async t => {
+  const worker = loadWorker(t);
+  assert.equal(fetchEvent(worker, 'https://nominatim.openstreetmap.org/search?q=x').response, null);
+  assert.equal(fetchEvent(worker, 'https://notes.example/notes?since=0').response, null);
+  assert.equal(fetchEvent(worker, 'https://notes.example/index.html', 'POST').response, null);
+});
+
+test('failed or opaque responses are never cached', async t => {
+  const responses = [
+    { ok: false, type: 'basic', clone() { return this; } },
+    { ok: true, type: 'opaque', clone() { return this; } }
+  ];
+  const worker = loadWorker(t, { network: () => Promise.resolve(responses.shift()) });
+
+  await fetchEvent(worker, 'https://notes.example/styles.css').response;
+  await fetchEvent(worker, 'https://notes.example/styles.css').response;
+  assert.deepEqual(worker.puts, []);
+});
+
+test('shared content is kept for the page and the browser is sent to the app', async t => {
+  const worker = loadWorker(t);
+  const body = new URLSearchParams({ title: 'Lunch spot', text: 'Try the soup', url: '' });
+  let response;
+  worker.events.fetch({
+    request: new Request('https://notes.example/share-target', { method: 'POST', body }),
+    respondWith: p => { response = p; }
+  });
+
+  const redirect = await response;
+  assert.equal(redirect.status, 303);
+  assert.equal(redirect.headers.get('Location'), 'https://notes.example/?share-target');
+  assert.equal(worker.puts.length, 1);
+  const [url, stored] = worker.puts[0];
+  assert.equal(url, 'https://notes.example/shared-content');
+  assert.deepEqual(await stored.json(), { title: 'Lunch spot', text: 'Try the soup' });
+});
+
+
+test('the cache version is derived from the app shell', async t => {
+  const worker = loadWorker(t);
+  let installWait;
+  worker.events.install({ waitUntil: p => { installWait = p; } });
+  await installWait;
+
+  assert.equal(worker.opened[0], `place-notes-${shellVersion()}`,
+    'The app shell changed: run `npm run stamp-version` to update VERSION in sw.js');
 });
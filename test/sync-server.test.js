@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSyncServer } = require('../server/sync-server.js');
+
+async function startServer(t) {
+  const server = createSyncServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://localhost:${server.address().port}`;
+}
+
+function send(url, method, body) {
+  return fetch(url, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+test('changes are returned after the given cursor', async t => {
+  const base = await startServer(t);
+  await send(`${base}/notes/1`, 'PUT', { id: 1, title: 'a', createdAt: '2024-01-01T00:00:00.000Z' });
+  const first = await (await fetch(`${base}/notes?since=0`)).json();
+  assert.deepEqual(first.notes.map(n => n.title), ['a']);
+
+  await send(`${base}/notes/2`, 'PUT', { id: 2, title: 'b', createdAt: '2024-01-02T00:00:00.000Z' });
+  const next = await (await fetch(`${base}/notes?since=${first.cursor}`)).json();
+  assert.deepEqual(next.notes.map(n => n.title), ['b']);
+});
+
+test('older writes are refused with the stored note', async t => {
+  const base = await startServer(t);
+  await send(`${base}/notes/1`, 'PUT', { id: 1, title: 'new', updatedAt: '2024-02-01T00:00:00.000Z' });
+  const res = await send(`${base}/notes/1`, 'PUT', { id: 1, title: 'old', updatedAt: '2024-01-01T00:00:00.000Z' });
+  assert.equal(res.status, 409);
+  assert.equal((await res.json()).note.title, 'new');
+
+  const mismatch = await send(`${base}/notes/2`, 'PUT', { id: 3, title: 'x' });
+  assert.equal(mismatch.status, 400);
+});
+
+test('deletes leave a tombstone for other devices', async t => {
+  const base = await startServer(t);
+  await send(`${base}/notes/1`, 'PUT', { id: 1, title: 'a', createdAt: '2024-01-01T00:00:00.000Z' });
+  const res = await send(`${base}/notes/1`, 'DELETE', { deletedAt: '2024-01-05T00:00:00.000Z' });
+  assert.equal(res.status, 200);
+  const { notes } = await (await fetch(`${base}/notes?since=0`)).json();
+  assert.deepEqual(notes, [{ id: 1, deleted: true, updatedAt: '2024-01-05T00:00:00.000Z' }]);
+});